@@ -0,0 +1,129 @@
+const net = require("net");
+const axios = require("axios");
+const maxmind = require("maxmind");
+
+// Country lookups for client IPs. Sources, tried in GEOIP_SOURCES order:
+//   local   a MaxMind-format .mmdb file at GEOIP_DB_PATH (e.g. GeoLite2-Country)
+//   ipinfo  the ipinfo.io API (token in TOKEN)
+// Results are cached for GEOIP_CACHE_TTL seconds. Private, loopback and
+// unresolvable addresses get GEOIP_DEFAULT_COUNTRY instead of an error.
+// Settings are read on each lookup, so they work whenever .env is loaded.
+const getSources = () =>
+  (process.env.GEOIP_SOURCES || "local,ipinfo")
+    .split(",")
+    .map((source) => source.trim());
+const getDefaultCountry = () =>
+  (process.env.GEOIP_DEFAULT_COUNTRY || "US").toUpperCase();
+const getCacheTtlMs = () =>
+  parseInt(process.env.GEOIP_CACHE_TTL || "86400") * 1000;
+const CACHE_MAX_ENTRIES = 10000;
+
+// ip -> { country, expiresAt }. Map keeps insertion order, so the first key
+// is the oldest entry.
+const cache = new Map();
+
+let readerPromise;
+const getReader = () => {
+  if (!process.env.GEOIP_DB_PATH) return Promise.resolve(null);
+  if (!readerPromise) {
+    // Reopens the file when it is replaced, e.g. by a weekly update job
+    readerPromise = maxmind
+      .open(process.env.GEOIP_DB_PATH, { watchForUpdates: true })
+      .catch((err) => {
+        console.error("GeoIP database error:", err.message);
+        readerPromise = null; // try again on the next lookup
+        return null;
+      });
+  }
+  return readerPromise;
+};
+
+// IPv4-mapped IPv6 addresses ("::ffff:1.2.3.4") as plain IPv4
+const normalizeIp = (ip) =>
+  typeof ip === "string" ? ip.trim().replace(/^::ffff:(?=\d+\.)/i, "") : "";
+
+// Addresses that never resolve to a country: private ranges, loopback,
+// link-local and unique-local IPv6
+const isPrivateIp = (ip) => {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split(".").map(Number);
+    return (
+      a === 10 ||
+      a === 127 ||
+      a === 0 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254) ||
+      (a === 100 && b >= 64 && b <= 127) // carrier-grade NAT
+    );
+  }
+  if (net.isIPv6(ip)) {
+    const lower = ip.toLowerCase();
+    return (
+      lower === "::1" ||
+      lower === "::" ||
+      lower.startsWith("fe80:") ||
+      lower.startsWith("fc") ||
+      lower.startsWith("fd")
+    );
+  }
+  return true; // not an IP at all
+};
+
+const lookupLocal = async (ip) => {
+  const reader = await getReader();
+  const record = reader && reader.get(ip);
+  return record?.country?.iso_code || record?.registered_country?.iso_code;
+};
+
+const lookupIpinfo = async (ip) => {
+  const locRes = await axios.get(
+    `https://ipinfo.io/${ip}/json?token=${process.env.TOKEN}`,
+    { timeout: parseInt(process.env.GEOIP_TIMEOUT_MS || "2000") }
+  );
+  return locRes.data.country;
+};
+
+const LOOKUPS = { local: lookupLocal, ipinfo: lookupIpinfo };
+
+// Resolves to { country, source } where source is "cache", "local", "ipinfo"
+// or "default". Never rejects.
+const lookupCountry = async (rawIp) => {
+  const ip = normalizeIp(rawIp);
+  if (isPrivateIp(ip)) {
+    return { country: getDefaultCountry(), source: "default" };
+  }
+
+  const cached = cache.get(ip);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { country: cached.country, source: "cache" };
+  }
+  cache.delete(ip);
+
+  for (const source of getSources()) {
+    if (!LOOKUPS[source]) continue;
+    try {
+      const country = await LOOKUPS[source](ip);
+      if (!country) continue;
+
+      if (cache.size >= CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+      }
+      cache.set(ip, {
+        country: country.toUpperCase(),
+        expiresAt: Date.now() + getCacheTtlMs(),
+      });
+      return { country: country.toUpperCase(), source };
+    } catch (err) {
+      console.error(`GeoIP ${source} lookup failed for ${ip}:`, err.message);
+    }
+  }
+
+  return { country: getDefaultCountry(), source: "default" };
+};
+
+module.exports = {
+  isPrivateIp,
+  lookupCountry,
+  normalizeIp,
+};
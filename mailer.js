@@ -0,0 +1,271 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const moment = require("moment");
+require("moment/locale/es");
+
+// Loading a locale makes it moment's global default; keep English elsewhere
+moment.locale("en");
+
+// Email templates live in emails/<language>/<name>.html and <name>.txt, with
+// the subject lines for each language in emails/<language>/subjects.json.
+const TEMPLATE_DIR = path.join(__dirname, "emails");
+// DEFAULT_EMAIL_LANGUAGE is read when used, like the SMTP settings, so it
+// works however late .env is loaded
+const getDefaultLanguage = () => process.env.DEFAULT_EMAIL_LANGUAGE || "en";
+
+// Countries whose customers get Spanish emails unless they chose otherwise
+const SPANISH_COUNTRIES =
+  "AR BO CL CO CR CU DO EC ES GT HN MX NI PA PE PR PY SV UY VE".split(" ");
+
+const SUPPORTED_LANGUAGES = fs
+  .readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .map((entry) => entry.name);
+
+// Outbox delivery: attempts per message, and the delay before the first retry
+// (doubled after every further failure). Read per run, like the SMTP settings.
+const getMaxAttempts = () => parseInt(process.env.EMAIL_MAX_ATTEMPTS || "5");
+const getRetryBaseSeconds = () =>
+  parseInt(process.env.EMAIL_RETRY_BASE_SECONDS || "60");
+const BATCH_SIZE = 20;
+
+// One transport for the whole process instead of one per email. SMTP_HOST
+// points delivery at any SMTP server (e.g. a local catch-all in tests);
+// without it we send through Gmail as EMAIL_USER.
+let transporter;
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || "587"),
+          secure: process.env.SMTP_SECURE === "true",
+          // Local catch-all servers usually don't offer STARTTLS
+          ignoreTLS: process.env.SMTP_IGNORE_TLS === "true",
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+        })
+      : nodemailer.createTransport({
+          service: "gmail",
+          auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS,
+          },
+        });
+  }
+  return transporter;
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Fill a template. {{name}} is escaped when `escape` is set (HTML parts),
+// {{{name}}} is always inserted as-is, and {{#each list}}...{{/each}} repeats
+// its body for every item of `list`, with the item's fields as variables.
+const fillTemplate = (template, vars, escape) => {
+  const withLoops = template.replace(
+    /{{#each (\w+)}}([\s\S]*?){{\/each}}/g,
+    (match, list, body) =>
+      (vars[list] || [])
+        .map((item) => fillTemplate(body, { ...vars, ...item }, escape))
+        .join("")
+  );
+
+  return withLoops
+    .replace(/{{{(\w+)}}}/g, (match, key) => String(vars[key] ?? ""))
+    .replace(/{{(\w+)}}/g, (match, key) => {
+      const value = vars[key] ?? "";
+      return escape ? escapeHtml(value) : String(value);
+    });
+};
+
+const templateCache = new Map();
+
+const readTemplate = (language, name) => {
+  const key = `${language}/${name}`;
+  if (!templateCache.has(key)) {
+    const dir = path.join(TEMPLATE_DIR, language);
+    const subjects = JSON.parse(
+      fs.readFileSync(path.join(dir, "subjects.json"), "utf8")
+    );
+    if (!subjects[name]) throw new Error(`Unknown email template "${name}"`);
+
+    templateCache.set(key, {
+      subject: subjects[name],
+      html: fs.readFileSync(path.join(dir, `${name}.html`), "utf8"),
+      text: fs.readFileSync(path.join(dir, `${name}.txt`), "utf8"),
+    });
+  }
+  return templateCache.get(key);
+};
+
+// Explicit preference first, then the customer's country, then the default
+const pickLanguage = ({ language, country } = {}) => {
+  if (language && SUPPORTED_LANGUAGES.includes(language)) return language;
+  if (country && SPANISH_COUNTRIES.includes(country.toUpperCase())) {
+    return SUPPORTED_LANGUAGES.includes("es") ? "es" : getDefaultLanguage();
+  }
+  return getDefaultLanguage();
+};
+
+// Long date in the email's language, e.g. "March 4, 2025" / "4 de marzo de 2025"
+const formatDate = (date, language = getDefaultLanguage()) =>
+  moment(date).locale(language).format("LL");
+
+const render = (name, language, vars = {}) => {
+  const template = readTemplate(language, name);
+  const layout = fs.readFileSync(
+    path.join(TEMPLATE_DIR, "layout.html"),
+    "utf8"
+  );
+
+  return {
+    subject: fillTemplate(template.subject, vars, false),
+    html: fillTemplate(
+      layout,
+      { content: fillTemplate(template.html, vars, true), language },
+      true
+    ),
+    text: fillTemplate(template.text, vars, false),
+  };
+};
+
+// Render a template into the email_outbox table. Pass the transaction's
+// connection so the email is only queued if the business change commits.
+// `attachments` are descriptors ({ type, ... }) stored as JSON and turned into
+// files when the email is sent.
+const queue = async (conn, name, { to, language, vars, attachments = [] }) => {
+  const lang = pickLanguage({ language });
+  const { subject, html, text } = render(name, lang, vars);
+
+  const [result] = await conn.query(
+    `INSERT INTO email_outbox (template, recipient, language, subject, html, text, attachments)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [name, to, lang, subject, html, text, JSON.stringify(attachments)]
+  );
+  return result.insertId;
+};
+
+let delivering = false;
+
+// Send due outbox messages. Failures are retried with exponential backoff
+// until EMAIL_MAX_ATTEMPTS, after which the message stays 'failed' until resent.
+// `resolveAttachments(descriptors)` turns stored descriptors into nodemailer
+// attachments.
+const deliverOutbox = async (db, resolveAttachments = async () => []) => {
+  if (delivering) return; // previous run still going
+  delivering = true;
+
+  try {
+    // Messages a crashed worker left in 'sending' go back in the queue
+    await db.query(
+      `UPDATE email_outbox SET status = 'pending'
+      WHERE status = 'sending' AND updated_at < NOW() - INTERVAL 10 MINUTE`
+    );
+
+    const [messages] = await db.query(
+      `SELECT * FROM email_outbox
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY id
+      LIMIT ?`,
+      [BATCH_SIZE]
+    );
+
+    for (const message of messages) {
+      const [claimed] = await db.query(
+        "UPDATE email_outbox SET status = 'sending' WHERE id = ? AND status = 'pending'",
+        [message.id]
+      );
+      if (claimed.affectedRows === 0) continue;
+
+      try {
+        const descriptors =
+          typeof message.attachments === "string"
+            ? JSON.parse(message.attachments)
+            : message.attachments || [];
+
+        const info = await getTransporter().sendMail({
+          from: `"America IPTV" <${process.env.EMAIL_USER}>`,
+          to: message.recipient,
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+          attachments: await resolveAttachments(descriptors),
+        });
+
+        await db.query(
+          `UPDATE email_outbox
+          SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL
+          WHERE id = ?`,
+          [message.id]
+        );
+        console.log(
+          `Email "${message.template}" sent to ${message.recipient}:`,
+          info.response
+        );
+      } catch (err) {
+        const attempts = message.attempts + 1;
+        const status = attempts >= getMaxAttempts() ? "failed" : "pending";
+        const delay = getRetryBaseSeconds() * 2 ** (attempts - 1);
+
+        await db.query(
+          `UPDATE email_outbox
+          SET status = ?, attempts = ?, last_error = ?,
+            next_attempt_at = NOW() + INTERVAL ? SECOND
+          WHERE id = ?`,
+          [
+            status,
+            attempts,
+            String(err.message).slice(0, 1000),
+            delay,
+            message.id,
+          ]
+        );
+        console.error(
+          `Email "${message.template}" to ${message.recipient} failed (attempt ${attempts}):`,
+          err.message
+        );
+      }
+    }
+  } finally {
+    delivering = false;
+  }
+};
+
+// Template names, from the default language's subjects
+const listTemplates = () =>
+  Object.keys(
+    JSON.parse(
+      fs.readFileSync(
+        path.join(TEMPLATE_DIR, getDefaultLanguage(), "subjects.json"),
+        "utf8"
+      )
+    )
+  );
+
+// Representative variables for previewing each template
+const sampleVars = (name) => {
+  const samples = JSON.parse(
+    fs.readFileSync(path.join(TEMPLATE_DIR, "samples.json"), "utf8")
+  );
+  return samples[name] || {};
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  deliverOutbox,
+  escapeHtml,
+  formatDate,
+  listTemplates,
+  pickLanguage,
+  queue,
+  render,
+  sampleVars,
+};
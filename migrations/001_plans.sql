@@ -0,0 +1,77 @@
+-- Plan catalog. Durations live here instead of being inferred from the plan name.
+CREATE TABLE IF NOT EXISTS plans (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  duration_value INT NOT NULL,
+  duration_unit ENUM('day', 'month', 'year') NOT NULL,
+  is_trial TINYINT(1) NOT NULL DEFAULT 0,
+  price DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Seed the plans that were previously hard-coded. Paid plans get their price
+-- from existing customers below.
+INSERT IGNORE INTO plans (name, duration_value, duration_unit, is_trial, price) VALUES
+  ('Free Trial', 7, 'day', 1, 0),
+  ('Monthly', 1, 'month', 0, 0),
+  ('6-Month', 6, 'month', 0, 0),
+  ('Yearly', 1, 'year', 0, 0);
+
+ALTER TABLE users
+  ADD COLUMN plan_id INT NULL AFTER plan,
+  ADD CONSTRAINT fk_users_plan FOREIGN KEY (plan_id) REFERENCES plans (id);
+
+-- Backfill existing customers: exact name first, then the old substring rules.
+UPDATE users u JOIN plans p ON p.name = u.plan SET u.plan_id = p.id;
+UPDATE users u JOIN plans p ON p.name = '6-Month'
+  SET u.plan_id = p.id WHERE u.plan_id IS NULL AND u.plan LIKE '%6-Month%';
+UPDATE users u JOIN plans p ON p.name = 'Monthly'
+  SET u.plan_id = p.id WHERE u.plan_id IS NULL AND u.plan LIKE '%Monthly%';
+UPDATE users u JOIN plans p ON p.name = 'Yearly'
+  SET u.plan_id = p.id WHERE u.plan_id IS NULL AND u.plan LIKE '%Yearly%';
+
+-- Price paid plans at what their most recent customer was quoted (the old
+-- free-form Price column, e.g. "$19.99", "19,99 €" or "USD 1,299.00"), read the
+-- way parsePrice in pricing.js reads it: the currency from a three-letter code
+-- or a symbol, and the last separator as the decimal one when two digits or
+-- fewer follow it. Paid plans nobody has bought stay inactive until an admin
+-- sets a price with PUT /plans/:id.
+UPDATE plans p
+JOIN (
+  SELECT
+    quoted.plan_id,
+    CASE
+      WHEN quoted.price REGEXP '\\b[A-Za-z]{3}\\b'
+        THEN UPPER(REGEXP_SUBSTR(quoted.price, '\\b[A-Za-z]{3}\\b'))
+      WHEN quoted.price LIKE '%€%' THEN 'EUR'
+      WHEN quoted.price LIKE '%£%' THEN 'GBP'
+      WHEN quoted.price LIKE '%¥%' THEN 'JPY'
+      ELSE 'USD'
+    END AS currency,
+    CAST(
+      IF(
+        quoted.number REGEXP '[.,][0-9]{1,2}$',
+        CONCAT(
+          REGEXP_REPLACE(REGEXP_REPLACE(quoted.number, '[.,][0-9]{1,2}$', ''), '[.,]', ''),
+          '.',
+          REGEXP_SUBSTR(quoted.number, '[0-9]{1,2}$')
+        ),
+        REGEXP_REPLACE(quoted.number, '[.,]', '')
+      ) AS DECIMAL(10, 2)
+    ) AS amount
+  FROM (
+    SELECT u.plan_id, u.Price AS price, REGEXP_REPLACE(u.Price, '[^0-9.,]', '') AS number
+    FROM users u
+    JOIN (
+      SELECT plan_id, MAX(id) AS id FROM users
+      WHERE plan_id IS NOT NULL AND Price REGEXP '[1-9]'
+      GROUP BY plan_id
+    ) latest ON latest.id = u.id
+  ) quoted
+) parsed ON parsed.plan_id = p.id
+SET p.price = parsed.amount, p.currency = parsed.currency
+WHERE p.is_trial = 0;
+UPDATE plans SET active = 0 WHERE is_trial = 0 AND price <= 0;
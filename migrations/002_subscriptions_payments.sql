@@ -0,0 +1,46 @@
+-- One subscription row per customer holding the current term.
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL UNIQUE,
+  plan_id INT NULL,
+  start_date DATETIME NOT NULL,
+  end_date DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_subscriptions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_subscriptions_plan FOREIGN KEY (plan_id) REFERENCES plans (id),
+  INDEX idx_subscriptions_end_date (end_date)
+);
+
+-- Append-only ledger: one row per confirmed payment and the term it bought.
+CREATE TABLE IF NOT EXISTS payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  subscription_id INT NOT NULL,
+  plan_id INT NULL,
+  invoice VARCHAR(50) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  period_start DATETIME NOT NULL,
+  period_end DATETIME NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  reference VARCHAR(255) NULL,
+  paid_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_payments_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_payments_subscription FOREIGN KEY (subscription_id) REFERENCES subscriptions (id),
+  CONSTRAINT fk_payments_plan FOREIGN KEY (plan_id) REFERENCES plans (id),
+  INDEX idx_payments_invoice (invoice)
+);
+
+-- Backfill terms for active customers from the old updated_at-based rule.
+-- Historic payments were never recorded, so the ledger starts empty.
+INSERT IGNORE INTO subscriptions (user_id, plan_id, start_date, end_date)
+SELECT u.id, p.id, u.updated_at,
+  CASE p.duration_unit
+    WHEN 'day' THEN DATE_ADD(u.updated_at, INTERVAL p.duration_value DAY)
+    WHEN 'month' THEN DATE_ADD(u.updated_at, INTERVAL p.duration_value MONTH)
+    WHEN 'year' THEN DATE_ADD(u.updated_at, INTERVAL p.duration_value YEAR)
+  END
+FROM users u
+JOIN plans p ON p.id = u.plan_id
+WHERE u.invoice_status IN ('paid', 'Free');
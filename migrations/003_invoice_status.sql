@@ -0,0 +1,8 @@
+-- Invoice statuses are now a closed set: trial, pending, paid, expired, cancelled.
+UPDATE users SET invoice_status = 'trial' WHERE invoice_status = 'Free';
+UPDATE users SET invoice_status = 'pending'
+  WHERE invoice_status NOT IN ('trial', 'pending', 'paid', 'expired', 'cancelled');
+
+ALTER TABLE users
+  MODIFY invoice_status ENUM('trial', 'pending', 'paid', 'expired', 'cancelled')
+    NOT NULL DEFAULT 'pending';
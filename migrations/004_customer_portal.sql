@@ -0,0 +1,2 @@
+-- Set when a customer exchanges a magic link; links issued earlier stop working.
+ALTER TABLE users ADD COLUMN portal_login_at DATETIME NULL;
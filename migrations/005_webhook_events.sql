@@ -0,0 +1,17 @@
+-- Provider events already processed; a repeated event id is a replay.
+-- Payments that couldn't be applied are 'rejected' with the reason and payload
+-- kept, until an admin settles them and marks them 'resolved'.
+CREATE TABLE IF NOT EXISTS webhook_events (
+  event_id VARCHAR(255) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+  invoice VARCHAR(50) NULL,
+  status ENUM('applied', 'ignored', 'rejected', 'resolved') NOT NULL DEFAULT 'applied',
+  reason VARCHAR(50) NULL,
+  user_id INT NULL,
+  payload JSON NULL,
+  resolved_at DATETIME NULL,
+  resolved_by INT NULL,
+  resolution_note VARCHAR(500) NULL,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_webhook_events_status (status, received_at)
+);
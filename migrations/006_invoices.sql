@@ -0,0 +1,15 @@
+-- Invoice numbers come from this auto-increment sequence (INV-<year>-<id>).
+CREATE TABLE IF NOT EXISTS invoice_sequence (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users
+  ADD COLUMN invoice_issued_at DATETIME NULL,
+  ADD COLUMN invoice_due_at DATETIME NULL,
+  ADD UNIQUE INDEX idx_users_invoice (invoice);
+
+-- Paid invoices keep the dates they were issued with
+ALTER TABLE payments
+  ADD COLUMN invoice_issued_at DATETIME NULL AFTER invoice,
+  ADD COLUMN invoice_due_at DATETIME NULL AFTER invoice_issued_at;
@@ -0,0 +1,4 @@
+-- Used to pick the language of customer emails
+ALTER TABLE users
+  ADD COLUMN country CHAR(2) NULL,
+  ADD COLUMN language VARCHAR(5) NULL;
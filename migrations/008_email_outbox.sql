@@ -0,0 +1,19 @@
+-- Every outgoing email is written here first and delivered by the outbox worker.
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  template VARCHAR(50) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  language VARCHAR(5) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  html MEDIUMTEXT NOT NULL,
+  text MEDIUMTEXT NOT NULL,
+  attachments JSON NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_email_outbox_due (status, next_attempt_at)
+);
@@ -0,0 +1,8 @@
+-- Cancelled customers are kept (soft delete) until the retention purge.
+ALTER TABLE users
+  ADD COLUMN cancelled_at DATETIME NULL,
+  ADD COLUMN cancellation_reason VARCHAR(255) NULL,
+  ADD COLUMN anonymized_at DATETIME NULL,
+  ADD INDEX idx_users_cancelled_at (cancelled_at);
+
+UPDATE users SET cancelled_at = updated_at WHERE invoice_status = 'cancelled';
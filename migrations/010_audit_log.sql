@@ -0,0 +1,23 @@
+-- Append-only record of who changed what. Rows are never updated or deleted.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  actor_type ENUM('admin', 'customer', 'system') NOT NULL,
+  actor_id INT NULL,
+  actor_email VARCHAR(255) NULL,
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(50) NOT NULL,
+  target_id VARCHAR(64) NULL,
+  before_value JSON NULL,
+  after_value JSON NULL,
+  ip VARCHAR(45) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_log_target (target_type, target_id),
+  INDEX idx_audit_log_actor (actor_type, actor_id),
+  INDEX idx_audit_log_created (created_at)
+);
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log FOR EACH ROW
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log FOR EACH ROW
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
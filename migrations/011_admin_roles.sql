@@ -0,0 +1,26 @@
+-- Admin roles, refresh tokens and server-side token revocation.
+-- Existing admins keep full access as owners.
+ALTER TABLE admin
+  ADD COLUMN name VARCHAR(255) NULL,
+  ADD COLUMN role ENUM('owner', 'billing', 'editor') NOT NULL DEFAULT 'owner',
+  ADD COLUMN active TINYINT(1) NOT NULL DEFAULT 1,
+  -- Bumped to invalidate every access token issued to the admin
+  ADD COLUMN token_version INT NOT NULL DEFAULT 0,
+  ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Only a SHA-256 hash of each refresh token is stored
+CREATE TABLE IF NOT EXISTS admin_refresh_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_admin_refresh_tokens_admin FOREIGN KEY (admin_id) REFERENCES admin(id) ON DELETE CASCADE
+);
+
+-- Access tokens revoked by logout, kept until they would have expired anyway
+CREATE TABLE IF NOT EXISTS admin_revoked_tokens (
+  jti CHAR(36) PRIMARY KEY,
+  expires_at DATETIME NOT NULL
+);
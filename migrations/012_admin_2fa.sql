@@ -0,0 +1,26 @@
+-- Optional TOTP two-factor authentication for admins
+ALTER TABLE admin
+  ADD COLUMN totp_secret VARCHAR(64) NULL,
+  ADD COLUMN totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  -- Last time step accepted, so a code can't be used twice
+  ADD COLUMN totp_last_step BIGINT NULL;
+
+-- One-time recovery codes (SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  CONSTRAINT fk_admin_recovery_codes_admin FOREIGN KEY (admin_id) REFERENCES admin(id) ON DELETE CASCADE
+);
+
+-- Admin login attempts, for the per-account and per-IP lockout
+CREATE TABLE IF NOT EXISTS admin_login_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  ip VARCHAR(45) NULL,
+  success TINYINT(1) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_admin_login_attempts_email (email, created_at),
+  INDEX idx_admin_login_attempts_ip (ip, created_at)
+);
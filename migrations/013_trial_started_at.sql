@@ -0,0 +1,12 @@
+-- When the customer's free trial started, for trial-to-paid conversion metrics.
+-- The subscription's plan changes once a trial converts, so keep it on the user.
+ALTER TABLE users ADD COLUMN trial_started_at DATETIME NULL;
+
+-- Backfill: trials still on their trial plan, or whose term started before
+-- the first paid period
+UPDATE users u
+JOIN subscriptions s ON s.user_id = u.id
+LEFT JOIN plans p ON p.id = s.plan_id
+SET u.trial_started_at = s.start_date
+WHERE u.invoice_status = 'trial' OR p.is_trial = 1
+  OR s.start_date < (SELECT MIN(pay.period_start) FROM payments pay WHERE pay.user_id = u.id);
@@ -0,0 +1,19 @@
+-- Per-country or per-region plan prices. Plans without a matching row use
+-- their default price and currency.
+CREATE TABLE IF NOT EXISTS plan_prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id INT NOT NULL,
+  -- ISO 3166 country code (e.g. "GB") or a region name (e.g. "EU")
+  region VARCHAR(10) NOT NULL,
+  price DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  UNIQUE KEY uq_plan_prices_region (plan_id, region),
+  CONSTRAINT fk_plan_prices_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE
+);
+
+-- The price each customer was quoted at signup or renewal, and the country
+-- it was quoted for. Older customers only have the formatted Price string.
+ALTER TABLE users
+  ADD COLUMN price_amount DECIMAL(10, 2) NULL AFTER Price,
+  ADD COLUMN price_currency CHAR(3) NULL AFTER price_amount,
+  ADD COLUMN price_country CHAR(2) NULL AFTER price_currency;
@@ -0,0 +1,24 @@
+-- URL slugs and a draft -> scheduled -> published workflow for blogs.
+-- Existing posts were live already, so they start out published.
+ALTER TABLE blogs
+  ADD COLUMN slug VARCHAR(200) NULL AFTER title,
+  ADD COLUMN status ENUM('draft', 'scheduled', 'published') NOT NULL DEFAULT 'draft',
+  ADD COLUMN scheduled_at DATETIME NULL,
+  ADD COLUMN published_at DATETIME NULL;
+
+UPDATE blogs SET status = 'published', published_at = NOW();
+
+-- Slugs from titles ("Best IPTV Apps!" -> "best-iptv-apps"); repeats get the id
+UPDATE blogs
+SET slug = TRIM(BOTH '-' FROM LOWER(REGEXP_REPLACE(title, '[^A-Za-z0-9]+', '-')));
+UPDATE blogs SET slug = CONCAT('post-', id) WHERE slug IS NULL OR slug = '';
+UPDATE blogs b
+JOIN (
+  SELECT slug FROM blogs GROUP BY slug HAVING COUNT(*) > 1
+) repeated ON repeated.slug = b.slug
+SET b.slug = CONCAT(b.slug, '-', b.id);
+
+ALTER TABLE blogs
+  MODIFY slug VARCHAR(200) NOT NULL,
+  ADD UNIQUE KEY uq_blogs_slug (slug),
+  ADD INDEX idx_blogs_status_published (status, published_at);
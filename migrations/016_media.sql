@@ -0,0 +1,15 @@
+-- Uploaded images, stored in public/uploads and served by express.static
+CREATE TABLE IF NOT EXISTS media (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  filename VARCHAR(100) NOT NULL UNIQUE,
+  original_name VARCHAR(255) NULL,
+  mime_type VARCHAR(50) NOT NULL,
+  size INT NOT NULL,
+  uploaded_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A blog's cover image can point at the media library
+ALTER TABLE blogs
+  ADD COLUMN media_id INT NULL AFTER image_url,
+  ADD CONSTRAINT fk_blogs_media FOREIGN KEY (media_id) REFERENCES media (id) ON DELETE SET NULL;
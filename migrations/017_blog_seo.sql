@@ -0,0 +1,5 @@
+-- SEO metadata for blogs. Empty values fall back to the title and intro.
+ALTER TABLE blogs
+  ADD COLUMN meta_title VARCHAR(255) NULL,
+  ADD COLUMN meta_description VARCHAR(500) NULL,
+  ADD COLUMN canonical_url VARCHAR(500) NULL;
@@ -0,0 +1,33 @@
+-- Blog categories (one per post) and tags (any number per post)
+CREATE TABLE IF NOT EXISTS blog_categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  description VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blog_tags (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  description VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blog_post_tags (
+  blog_id INT NOT NULL,
+  tag_id INT NOT NULL,
+  PRIMARY KEY (blog_id, tag_id),
+  KEY idx_blog_post_tags_tag (tag_id),
+  CONSTRAINT fk_blog_post_tags_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE CASCADE,
+  CONSTRAINT fk_blog_post_tags_tag FOREIGN KEY (tag_id) REFERENCES blog_tags (id) ON DELETE CASCADE
+);
+
+ALTER TABLE blogs
+  ADD COLUMN category_id INT NULL AFTER intro,
+  ADD CONSTRAINT fk_blogs_category FOREIGN KEY (category_id) REFERENCES blog_categories (id) ON DELETE SET NULL;
+
+-- Full-text search over /blogs/search
+ALTER TABLE blogs ADD FULLTEXT INDEX ft_blogs_title_intro (title, intro);
+ALTER TABLE blog_sections ADD FULLTEXT INDEX ft_blog_sections_content (heading, content);
@@ -0,0 +1,37 @@
+-- Every save of a blog bumps its version and stores a full snapshot (fields,
+-- sections and tags) as a revision. Editors send the version they loaded so
+-- concurrent edits are rejected instead of overwriting each other.
+ALTER TABLE blogs ADD COLUMN version INT NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS blog_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  blog_id INT NOT NULL,
+  version INT NOT NULL,
+  action ENUM('baseline', 'create', 'update', 'restore') NOT NULL,
+  snapshot JSON NOT NULL,
+  admin_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_blog_revisions_version (blog_id, version),
+  CONSTRAINT fk_blog_revisions_blog FOREIGN KEY (blog_id) REFERENCES blogs (id) ON DELETE CASCADE
+);
+
+-- Existing posts start with their current state as a baseline revision
+INSERT INTO blog_revisions (blog_id, version, action, snapshot)
+SELECT b.id, b.version, 'baseline', JSON_OBJECT(
+  'id', b.id, 'title', b.title, 'slug', b.slug, 'status', b.status,
+  'scheduled_at', b.scheduled_at, 'published_at', b.published_at,
+  'image_url', b.image_url, 'media_id', b.media_id, 'intro', b.intro,
+  'meta_title', b.meta_title, 'meta_description', b.meta_description,
+  'canonical_url', b.canonical_url, 'category_id', b.category_id,
+  'version', b.version,
+  'tag_ids', COALESCE(
+    (SELECT JSON_ARRAYAGG(pt.tag_id) FROM blog_post_tags pt WHERE pt.blog_id = b.id),
+    JSON_ARRAY()
+  ),
+  'sections', COALESCE(
+    (SELECT JSON_ARRAYAGG(JSON_OBJECT('id', s.id, 'heading', s.heading, 'content', s.content))
+      FROM blog_sections s WHERE s.blog_id = b.id),
+    JSON_ARRAY()
+  )
+)
+FROM blogs b;
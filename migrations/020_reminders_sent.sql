@@ -0,0 +1,12 @@
+-- One row per renewal reminder sent, keyed by the subscription end date it
+-- was about, so each reminder goes out once per billing period and missed
+-- ones can be caught up after downtime.
+CREATE TABLE IF NOT EXISTS reminders_sent (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  end_date DATE NOT NULL,
+  offset_days INT NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_reminders_sent (user_id, end_date, offset_days),
+  CONSTRAINT fk_reminders_sent_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,39 @@
+-- Which channels each customer wants notifications on. Customers without a
+-- row for a channel get NOTIFY_DEFAULT_CHANNELS.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INT NOT NULL,
+  channel ENUM('email', 'sms', 'whatsapp') NOT NULL,
+  enabled TINYINT(1) NOT NULL,
+  opted_out_at DATETIME NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, channel),
+  CONSTRAINT fk_notification_preferences_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Delivery log of every customer notification on every channel. SMS and
+-- WhatsApp messages are also queued here; emails point at their outbox row,
+-- which tracks their delivery.
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NULL,
+  channel ENUM('email', 'sms', 'whatsapp') NOT NULL,
+  template VARCHAR(50) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  language VARCHAR(5) NOT NULL,
+  body TEXT NULL,
+  -- WhatsApp template parameters, in order
+  params JSON NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed', 'skipped') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  provider VARCHAR(30) NULL,
+  provider_message_id VARCHAR(100) NULL,
+  email_outbox_id INT NULL,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_notifications_due (status, next_attempt_at),
+  INDEX idx_notifications_user (user_id, created_at),
+  CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+);
@@ -0,0 +1,60 @@
+-- Discount codes entered at signup. A fixed discount is in `currency` and
+-- only applies to prices in that currency. Coupons without coupon_plans rows
+-- apply to every plan.
+CREATE TABLE IF NOT EXISTS coupons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(40) NOT NULL UNIQUE,
+  description VARCHAR(255) NULL,
+  discount_type ENUM('percent', 'fixed') NOT NULL,
+  discount_value DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NULL,
+  expires_at DATETIME NULL,
+  max_uses INT NULL,
+  times_used INT NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS coupon_plans (
+  coupon_id INT NOT NULL,
+  plan_id INT NOT NULL,
+  PRIMARY KEY (coupon_id, plan_id),
+  CONSTRAINT fk_coupon_plans_coupon FOREIGN KEY (coupon_id) REFERENCES coupons (id) ON DELETE CASCADE,
+  CONSTRAINT fk_coupon_plans_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE
+);
+
+-- The open invoice's coupon and discount; price_amount is the discounted price
+ALTER TABLE users
+  ADD COLUMN coupon_code VARCHAR(40) NULL AFTER price_country,
+  ADD COLUMN discount_amount DECIMAL(10, 2) NULL AFTER coupon_code,
+  ADD COLUMN referral_code VARCHAR(20) NULL,
+  ADD COLUMN referred_by INT NULL,
+  ADD UNIQUE INDEX uq_users_referral_code (referral_code),
+  ADD CONSTRAINT fk_users_referred_by FOREIGN KEY (referred_by) REFERENCES users (id) ON DELETE SET NULL;
+
+-- Paid invoices keep their coupon and discount in the ledger
+ALTER TABLE payments
+  ADD COLUMN coupon_code VARCHAR(40) NULL,
+  ADD COLUMN discount_amount DECIMAL(10, 2) NULL;
+
+-- Existing customers get a referral code: their id in base 36 plus four
+-- random characters, unique because of the id part
+UPDATE users
+SET referral_code = CONCAT(CONV(id, 10, 36), UPPER(SUBSTRING(MD5(RAND()), 1, 4)))
+WHERE referral_code IS NULL;
+
+-- Free days owed to a referrer once a customer they referred pays their first
+-- invoice. Applied to the referrer's running term, or to their next one if
+-- they have none.
+CREATE TABLE IF NOT EXISTS referral_credits (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  referrer_id INT NOT NULL,
+  referred_id INT NOT NULL UNIQUE,
+  days INT NOT NULL,
+  applied_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_referral_credits_referrer (referrer_id, applied_at),
+  CONSTRAINT fk_referral_credits_referrer FOREIGN KEY (referrer_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_referral_credits_referred FOREIGN KEY (referred_id) REFERENCES users (id) ON DELETE CASCADE
+);
@@ -0,0 +1,3 @@
+-- Admin emails are stored lower-cased, matching how /admin-login looks them up
+-- and counts failed attempts. Earlier admins were saved as typed.
+UPDATE admin SET email = LOWER(TRIM(email));
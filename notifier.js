@@ -0,0 +1,378 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const mailer = require("./mailer");
+
+// Customer notifications over the channels each customer has chosen:
+//   email     the email outbox (see mailer.js)
+//   sms       a Twilio-style Messages API
+//   whatsapp  the WhatsApp Business Cloud API, as approved template messages
+// Every notification is logged in the notifications table. SMS and WhatsApp
+// messages are queued there too and sent by deliverQueued, so like emails
+// they only go out once the surrounding transaction commits.
+const CHANNELS = ["email", "sms", "whatsapp"];
+
+// Channels customers get until they change their preferences
+const DEFAULT_CHANNELS = (process.env.NOTIFY_DEFAULT_CHANNELS || "email")
+  .split(",")
+  .map((channel) => channel.trim())
+  .filter((channel) => CHANNELS.includes(channel));
+
+// NOTIFY_PROVIDER=fake sends SMS and WhatsApp messages to fakeProvider below
+// instead of the real APIs (local development and tests)
+const USE_FAKE_PROVIDER = process.env.NOTIFY_PROVIDER === "fake";
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || "5");
+const RETRY_BASE_SECONDS = parseInt(
+  process.env.NOTIFY_RETRY_BASE_SECONDS || "60"
+);
+const BATCH_SIZE = 20;
+const API_TIMEOUT_MS = 10000;
+
+// Short texts for SMS and WhatsApp live in messages/<language>.json, keyed by
+// the same template names as the emails. WhatsApp sends the matching approved
+// template instead (see sendWhatsapp); the text is kept in the log.
+const MESSAGE_DIR = path.join(__dirname, "messages");
+const messageCache = new Map();
+
+// Languages without a messages file fall back to English
+const getMessages = (language) => {
+  if (!messageCache.has(language)) {
+    const file = path.join(MESSAGE_DIR, `${language}.json`);
+    messageCache.set(
+      language,
+      fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {}
+    );
+  }
+  return messageCache.get(language);
+};
+
+const renderMessage = (name, language, vars = {}) => {
+  const template = getMessages(language)[name] ?? getMessages("en")[name];
+  if (template === undefined) {
+    throw new Error(`Unknown message template "${name}"`);
+  }
+  return template.replace(/{{(\w+)}}/g, (match, key) =>
+    String(vars[key] ?? "")
+  );
+};
+
+// Values for a WhatsApp template's {{1}}, {{2}}, ... parameters: the vars in
+// the order their placeholders appear in the English text, so every language
+// of the approved template numbers them the same way
+const getTemplateParams = (name, vars = {}) => {
+  const keys = [...getMessages("en")[name].matchAll(/{{(\w+)}}/g)].map(
+    (match) => match[1]
+  );
+  return [...new Set(keys)].map((key) => String(vars[key] ?? ""));
+};
+
+// Phone numbers in E.164 form ("+447466036656"), or null when there is no
+// usable number
+const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/[^\d+]/g, "");
+  const normalized = digits.startsWith("00") ? `+${digits.slice(2)}` : digits;
+  return /^\+[1-9]\d{6,14}$/.test(normalized) ? normalized : null;
+};
+
+// A send error the provider says will never succeed. `optedOut` marks the
+// recipient as having blocked us, which also turns the channel off for them.
+class PermanentError extends Error {
+  constructor(message, { optedOut = false } = {}) {
+    super(message);
+    this.optedOut = optedOut;
+  }
+}
+
+// Twilio error codes: 21610 unsubscribed recipient, 21211/21614 invalid number
+const sendSms = async (to, { body }) => {
+  const sid = process.env.SMS_ACCOUNT_SID;
+  const baseUrl =
+    process.env.SMS_API_URL || "https://api.twilio.com/2010-04-01";
+  try {
+    const { data } = await axios.post(
+      `${baseUrl}/Accounts/${sid}/Messages.json`,
+      new URLSearchParams({ To: to, From: process.env.SMS_FROM, Body: body }),
+      {
+        auth: { username: sid, password: process.env.SMS_AUTH_TOKEN },
+        timeout: API_TIMEOUT_MS,
+      }
+    );
+    return data.sid;
+  } catch (err) {
+    const code = err.response?.data?.code;
+    if (code === 21610) {
+      throw new PermanentError(err.message, { optedOut: true });
+    }
+    if (code === 21211 || code === 21614) throw new PermanentError(err.message);
+    throw err;
+  }
+};
+
+// Business-initiated messages must use a template approved in WhatsApp
+// Manager (free-form text is rejected outside the customer's 24-hour window).
+// Each notification needs one named like it with dashes as underscores
+// ("renewal-reminder" -> renewal_reminder), in each language we send, with
+// parameters numbered as getTemplateParams orders them.
+// 131050 means the customer stopped messages from us; 132000/132001 mean the
+// template or its parameters don't match what was approved.
+const sendWhatsapp = async (to, { template, language, params }) => {
+  const baseUrl =
+    process.env.WHATSAPP_API_URL || "https://graph.facebook.com/v20.0";
+  try {
+    const { data } = await axios.post(
+      `${baseUrl}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+      {
+        messaging_product: "whatsapp",
+        to: to.replace(/^\+/, ""),
+        type: "template",
+        template: {
+          name: template.replace(/-/g, "_"),
+          language: { code: language },
+          components: [
+            {
+              type: "body",
+              // JSON columns come back as text on MariaDB
+              parameters: (typeof params === "string"
+                ? JSON.parse(params)
+                : params || []
+              ).map((text) => ({
+                type: "text",
+                text,
+              })),
+            },
+          ],
+        },
+      },
+      {
+        headers: { Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}` },
+        timeout: API_TIMEOUT_MS,
+      }
+    );
+    return data.messages?.[0]?.id;
+  } catch (err) {
+    const code = err.response?.data?.error?.code;
+    if (code === 131050) {
+      throw new PermanentError(err.message, { optedOut: true });
+    }
+    if (code === 131026 || code === 132000 || code === 132001) {
+      throw new PermanentError(err.message); // not on WhatsApp, bad template
+    }
+    throw err;
+  }
+};
+
+// Keeps what it was asked to send. Numbers ending in 0000 fail permanently
+// and numbers ending in 9999 fail once, to exercise the error paths.
+const fakeProvider = {
+  sent: [],
+  attempts: new Map(),
+  send: async (channel, to, { body }) => {
+    const tries = (fakeProvider.attempts.get(to) || 0) + 1;
+    fakeProvider.attempts.set(to, tries);
+    if (to.endsWith("0000")) throw new PermanentError("Fake: undeliverable");
+    if (to.endsWith("9999") && tries === 1) throw new Error("Fake: try again");
+
+    fakeProvider.sent.push({ channel, to, body });
+    console.log(`[fake ${channel}] to ${to}: ${body}`);
+    return `fake-${fakeProvider.sent.length}`;
+  },
+  reset: () => {
+    fakeProvider.sent.length = 0;
+    fakeProvider.attempts.clear();
+  },
+};
+
+const ADAPTERS = {
+  sms: { provider: "twilio", send: sendSms },
+  whatsapp: { provider: "whatsapp-cloud", send: sendWhatsapp },
+};
+
+const getAdapter = (channel) =>
+  USE_FAKE_PROVIDER
+    ? {
+        provider: "fake",
+        send: (to, message) => fakeProvider.send(channel, to, message),
+      }
+    : ADAPTERS[channel];
+
+// { email: true, sms: false, whatsapp: false } for a customer. Channels they
+// never set follow DEFAULT_CHANNELS.
+const getPreferences = async (conn, userId) => {
+  const [rows] = await conn.query(
+    "SELECT channel, enabled FROM notification_preferences WHERE user_id = ?",
+    [userId]
+  );
+  return Object.fromEntries(
+    CHANNELS.map((channel) => {
+      const row = rows.find((pref) => pref.channel === channel);
+      return [
+        channel,
+        row ? !!row.enabled : DEFAULT_CHANNELS.includes(channel),
+      ];
+    })
+  );
+};
+
+// Turn channels on or off, e.g. { sms: true, email: false }. Turning one off
+// records when the customer opted out of it.
+const setPreferences = async (conn, userId, changes) => {
+  for (const [channel, enabled] of Object.entries(changes)) {
+    if (!CHANNELS.includes(channel)) continue;
+    await conn.query(
+      `INSERT INTO notification_preferences (user_id, channel, enabled, opted_out_at)
+      VALUES (?, ?, ?, IF(?, NULL, NOW()))
+      ON DUPLICATE KEY UPDATE
+        opted_out_at = IF(VALUES(enabled), NULL, IF(enabled, NOW(), opted_out_at)),
+        enabled = VALUES(enabled)`,
+      [userId, channel, enabled ? 1 : 0, enabled ? 1 : 0]
+    );
+  }
+};
+
+// Notify a customer on each of their channels. Pass the transaction's
+// connection so nothing is sent if the business change rolls back. `vars`
+// fill both the email and the short message; `attachments` only go with the
+// email. Resolves to the channels used.
+const notify = async (conn, userId, name, { vars = {}, attachments = [] }) => {
+  const [users] = await conn.query(
+    "SELECT id, email, phone, language, country FROM users WHERE id = ?",
+    [userId]
+  );
+  if (users.length === 0) return [];
+  const user = users[0];
+
+  const language = mailer.pickLanguage(user);
+  const preferences = await getPreferences(conn, user.id);
+  const used = [];
+
+  for (const channel of CHANNELS) {
+    if (!preferences[channel]) continue;
+
+    if (channel === "email") {
+      const outboxId = await mailer.queue(conn, name, {
+        to: user.email,
+        language,
+        vars,
+        attachments,
+      });
+      await conn.query(
+        `INSERT INTO notifications (user_id, channel, template, recipient, language, status, email_outbox_id)
+        VALUES (?, 'email', ?, ?, ?, 'pending', ?)`,
+        [user.id, name, user.email, language, outboxId]
+      );
+      used.push(channel);
+      continue;
+    }
+
+    // Logged as skipped so the log shows why nothing arrived
+    const phone = normalizePhone(user.phone);
+    await conn.query(
+      `INSERT INTO notifications (user_id, channel, template, recipient, language, body, params, status, last_error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user.id,
+        channel,
+        name,
+        phone || String(user.phone || ""),
+        language,
+        renderMessage(name, language, vars),
+        channel === "whatsapp"
+          ? JSON.stringify(getTemplateParams(name, vars))
+          : null,
+        phone ? "pending" : "skipped",
+        phone ? null : "No valid phone number",
+      ]
+    );
+    if (phone) used.push(channel);
+  }
+  return used;
+};
+
+let delivering = false;
+
+// Send due SMS and WhatsApp messages. Failures are retried with exponential
+// backoff until MAX_ATTEMPTS; permanent failures are not retried.
+const deliverQueued = async (db) => {
+  if (delivering) return; // previous run still going
+  delivering = true;
+
+  try {
+    // Messages a crashed worker left in 'sending' go back in the queue
+    await db.query(
+      `UPDATE notifications SET status = 'pending'
+      WHERE status = 'sending' AND updated_at < NOW() - INTERVAL 10 MINUTE`
+    );
+
+    const [messages] = await db.query(
+      `SELECT * FROM notifications
+      WHERE channel <> 'email' AND status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY id
+      LIMIT ?`,
+      [BATCH_SIZE]
+    );
+
+    for (const message of messages) {
+      const [claimed] = await db.query(
+        "UPDATE notifications SET status = 'sending' WHERE id = ? AND status = 'pending'",
+        [message.id]
+      );
+      if (claimed.affectedRows === 0) continue;
+
+      const adapter = getAdapter(message.channel);
+      try {
+        const providerId = await adapter.send(message.recipient, message);
+        await db.query(
+          `UPDATE notifications
+          SET status = 'sent', attempts = attempts + 1, provider = ?, provider_message_id = ?,
+            sent_at = NOW(), last_error = NULL
+          WHERE id = ?`,
+          [adapter.provider, providerId || null, message.id]
+        );
+      } catch (err) {
+        const attempts = message.attempts + 1;
+        const permanent = err instanceof PermanentError;
+        const status =
+          permanent || attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+        const delay = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+        await db.query(
+          `UPDATE notifications
+          SET status = ?, attempts = ?, provider = ?, last_error = ?,
+            next_attempt_at = NOW() + INTERVAL ? SECOND
+          WHERE id = ?`,
+          [
+            status,
+            attempts,
+            adapter.provider,
+            String(err.message).slice(0, 1000),
+            delay,
+            message.id,
+          ]
+        );
+        if (err.optedOut && message.user_id) {
+          await setPreferences(db, message.user_id, {
+            [message.channel]: false,
+          });
+        }
+        console.error(
+          `${message.channel} "${message.template}" to ${message.recipient} failed (attempt ${attempts}):`,
+          err.message
+        );
+      }
+    }
+  } finally {
+    delivering = false;
+  }
+};
+
+module.exports = {
+  CHANNELS,
+  deliverQueued,
+  fakeProvider,
+  getPreferences,
+  normalizePhone,
+  notify,
+  renderMessage,
+  setPreferences,
+};
@@ -0,0 +1,132 @@
+const moment = require("moment");
+
+// Plan prices: formatting, parsing the free-form prices older records have,
+// picking a plan's price for a customer's country and taking coupons off it.
+
+const CURRENCY_SYMBOLS = { USD: "$", EUR: "€", JPY: "¥", GBP: "£" };
+
+// Format a catalog price the same way customers used to submit it (e.g. "$19.99")
+const formatPrice = (amount, currency) => {
+  const symbol = CURRENCY_SYMBOLS[currency];
+  const value = Number(amount).toFixed(2);
+  return symbol ? `${symbol}${value}` : `${value} ${currency}`;
+};
+
+// Parse a free-form price as customers and old records have it, e.g. "$19.99",
+// "€15", "19,99 €", "USD 1,299.00" or "15 EUR". Returns { amount, currency }
+// with currency null when the text doesn't say, or null if there is no amount.
+const parsePrice = (text) => {
+  if (text === null || text === undefined) return null;
+  const value = String(text).trim();
+
+  let currency = null;
+  const code = value.match(/\b([A-Za-z]{3})\b/);
+  if (code) {
+    currency = code[1].toUpperCase();
+  } else {
+    currency =
+      Object.keys(CURRENCY_SYMBOLS).find((key) =>
+        value.includes(CURRENCY_SYMBOLS[key])
+      ) || null;
+  }
+
+  const number = value.replace(/[^\d.,]/g, "");
+  if (!/\d/.test(number)) return null;
+
+  // The last separator is the decimal one if two digits or fewer follow it
+  // ("19,99", "1,299.00"); any other separator groups thousands ("1,299")
+  const lastSeparator = Math.max(
+    number.lastIndexOf("."),
+    number.lastIndexOf(",")
+  );
+  const decimals = lastSeparator === -1 ? "" : number.slice(lastSeparator + 1);
+  const amount =
+    lastSeparator !== -1 && decimals.length <= 2
+      ? Number(
+          `${number.slice(0, lastSeparator).replace(/[.,]/g, "")}.${decimals}`
+        )
+      : Number(number.replace(/[.,]/g, ""));
+
+  return Number.isFinite(amount) ? { amount, currency } : null;
+};
+
+// Pricing regions. A plan price set for a region applies to each of its
+// countries that has no price of its own.
+const PRICE_REGIONS = {
+  EU: "AT BE BG HR CY CZ DK EE FI FR DE GR HU IE IT LV LT LU MT NL PL PT RO SK SI ES SE".split(
+    " "
+  ),
+  LATAM: "AR BO BR CL CO CR CU DO EC GT HN MX NI PA PE PR PY SV UY VE".split(
+    " "
+  ),
+};
+
+// Price of `plan` for `country` out of the plan's plan_prices rows: the
+// country's own price, else its region's, else the plan's default price
+const pickPlanPrice = (plan, prices, country) => {
+  const code = country ? country.toUpperCase() : null;
+  const match =
+    prices.find((price) => price.region === code) ||
+    prices.find((price) => (PRICE_REGIONS[price.region] || []).includes(code));
+
+  const amount = Number(match ? match.price : plan.price);
+  const currency = match ? match.currency : plan.currency;
+  return {
+    amount,
+    currency,
+    region: match ? match.region : null,
+    formatted: formatPrice(amount, currency),
+  };
+};
+
+// Coupon codes are case-insensitive and stored in upper case
+const normalizeCouponCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+// Every reason a coupon can't be used gets the same message, so codes can't
+// be probed for (e.g. a partner's code that only works on one plan)
+const INVALID_COUPON = "Coupon code is not valid";
+
+// A plan price quote (see pickPlanPrice) with `coupon` taken off. Returns
+// { quote, discount } or { error } when the coupon can't be used on it.
+const applyCoupon = (coupon, plan, quote) => {
+  if (
+    !coupon ||
+    !coupon.active ||
+    (coupon.expires_at && moment(coupon.expires_at).isBefore(moment())) ||
+    (coupon.max_uses !== null && coupon.times_used >= coupon.max_uses) ||
+    (coupon.planIds.length > 0 && !coupon.planIds.includes(plan.id)) ||
+    (coupon.discount_type === "fixed" && coupon.currency !== quote.currency)
+  ) {
+    return { error: INVALID_COUPON };
+  }
+
+  const value = Number(coupon.discount_value);
+  const discount = Math.min(
+    coupon.discount_type === "percent"
+      ? Math.round(quote.amount * value) / 100
+      : value,
+    quote.amount
+  );
+  const amount = Math.round((quote.amount - discount) * 100) / 100;
+  return {
+    discount,
+    quote: {
+      ...quote,
+      amount,
+      formatted: formatPrice(amount, quote.currency),
+    },
+  };
+};
+
+module.exports = {
+  CURRENCY_SYMBOLS,
+  PRICE_REGIONS,
+  applyCoupon,
+  formatPrice,
+  normalizeCouponCode,
+  parsePrice,
+  pickPlanPrice,
+};
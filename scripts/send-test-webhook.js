@@ -0,0 +1,68 @@
+// Local stand-in for the payment provider: signs an event with
+// PAYMENT_WEBHOOK_SECRET and posts it to /webhooks/payments.
+//
+//   node scripts/send-test-webhook.js <invoice> <amount in cents> [currency]
+//   node scripts/send-test-webhook.js INV-... 1999 usd --replay       (sends the event twice)
+//   node scripts/send-test-webhook.js INV-... 1999 usd --bad-signature
+const crypto = require("crypto");
+const axios = require("axios");
+const dotenv = require("dotenv");
+const { signatureHeader } = require("../webhooks");
+dotenv.config();
+
+const args = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+const flags = process.argv.slice(2).filter((arg) => arg.startsWith("--"));
+const [invoice, amount, currency = "usd"] = args;
+
+if (!invoice || !amount) {
+  console.error(
+    "Usage: node scripts/send-test-webhook.js <invoice> <amount in cents> [currency] [--replay] [--bad-signature]"
+  );
+  process.exit(1);
+}
+
+const url =
+  process.env.WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 5000}/webhooks/payments`;
+
+const event = {
+  id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+  type: "payment.succeeded",
+  created: Math.floor(Date.now() / 1000),
+  data: {
+    object: {
+      id: `pay_${crypto.randomBytes(12).toString("hex")}`,
+      invoice,
+      amount: Number(amount),
+      currency,
+    },
+  },
+};
+
+const send = async () => {
+  const payload = JSON.stringify(event);
+  const secret = flags.includes("--bad-signature")
+    ? "not-the-secret"
+    : process.env.PAYMENT_WEBHOOK_SECRET;
+
+  try {
+    const res = await axios.post(url, payload, {
+      headers: {
+        "Content-Type": "application/json",
+        "Payment-Signature": signatureHeader(payload, secret),
+      },
+    });
+    console.log(res.status, res.data);
+  } catch (err) {
+    if (!err.response) throw err;
+    console.log(err.response.status, err.response.data);
+  }
+};
+
+(async () => {
+  await send();
+  if (flags.includes("--replay")) await send();
+})().catch((err) => {
+  console.error("Webhook send failed:", err.message);
+  process.exit(1);
+});
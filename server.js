@@ -1,6 +1,5 @@
 const jwt = require("jsonwebtoken");
 const express = require("express");
-const nodemailer = require("nodemailer");
 const mysql = require("mysql2");
 const bodyParser = require("body-parser");
 const cors = require("cors");
@@ -12,11 +11,39 @@ const bcrypt = require("bcryptjs");
 const { body, validationResult } = require("express-validator");
 const cron = require("node-cron");
 const moment = require("moment");
-const axios = require("axios");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const multer = require("multer");
+const { parse: parseCsv } = require("csv-parse");
+const { stringify: stringifyCsv } = require("csv-stringify");
+// Before the local modules, which read their settings when they load
 dotenv.config();
+const mailer = require("./mailer");
+const notifier = require("./notifier");
+const geoip = require("./geoip");
+const totp = require("./totp");
+const {
+  PRICE_REGIONS,
+  applyCoupon,
+  formatPrice,
+  normalizeCouponCode,
+  parsePrice,
+  pickPlanPrice,
+} = require("./pricing");
+const { SECRET_NOT_CONFIGURED, verifyWebhookSignature } = require("./webhooks");
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Sign-in links in customer emails point at the portal, so refuse to start
+// without it rather than email customers a broken link
+if (!process.env.PORTAL_URL) {
+  console.error("PORTAL_URL is not set (the customer portal's base URL)");
+  process.exit(1);
+}
+const PORTAL_URL = process.env.PORTAL_URL.replace(/\/+$/, "");
+
 // Connect to MySQL
 const connection = mysql.createPool({
   host: process.env.DB_HOST,
@@ -28,12 +55,33 @@ const connection = mysql.createPool({
   queueLimit: 0,
 });
 
+// Promise interface for routes that need several queries or a transaction
+const db = connection.promise();
+
 // === MIDDLEWARE ===
 
+// Which proxies may set X-Forwarded-For. Off unless TRUST_PROXY is set:
+// "true", a hop count (e.g. "1"), or addresses/subnets/names such as
+// "loopback" or "10.0.0.0/8". req.ip is the client address after this.
+const parseTrustProxy = (value) => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(",").map((entry) => entry.trim());
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 app.use(cors());
-app.use(bodyParser.json());
+app.use(
+  bodyParser.json({
+    // Keep the exact bytes for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static("public"));
+app.use(express.static(path.join(__dirname, "public")));
 app.use(helmet()); // Secure HTTP headers
 app.use(xss()); // Prevent XSS attacks
 
@@ -42,11 +90,87 @@ const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW || "1") * 60 * 1000,
   max: parseInt(process.env.RATE_LIMIT_MAX || "5"),
   message: "Too many requests, try again later.",
+  // Payment providers deliver in bursts and are authenticated by signature
+  skip: (req) => req.path.startsWith("/webhooks/"),
 });
 app.use(limiter);
 
+// Failed coupon attempts per IP (checks, and signups that carry a code), on
+// top of the global limit, so guessing codes is slow. Valid codes don't count.
+const couponLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.COUPON_CHECK_MAX || "10"),
+  message: { error: "Too many coupon attempts, try again later." },
+  skipSuccessfulRequests: true,
+  skip: (req) => req.method === "POST" && !req.body?.couponCode,
+});
+
+// What each admin role may do. Owners can do everything, including managing
+// other admins.
+const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  billing: [
+    "customers.read",
+    "customers.write",
+    "invoices.read",
+    "plans.read",
+    "coupons.read",
+    "emails.read",
+    "emails.write",
+    "audit.read",
+    "metrics.read",
+  ],
+  editor: ["blogs.write"],
+};
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (admin, permission) => {
+  const permissions = ROLE_PERMISSIONS[admin.role] || [];
+  return permissions.includes("*") || permissions.includes(permission);
+};
+
+// Check an admin access token against the admin table: the account must still
+// be active, the token must not be logged out, and its version must match (the
+// version is bumped to revoke every token of an admin at once). Resolves to the
+// admin, with their current role, or null.
+const authenticateAdmin = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  // 2FA login challenges are signed with the same secret but are not sessions
+  if (decoded.aud) return null;
+
+  const [results] = await db.query(
+    `SELECT a.id, a.email, a.role, a.active, a.token_version,
+      EXISTS (SELECT 1 FROM admin_revoked_tokens WHERE jti = ?) AS revoked
+    FROM admin a
+    WHERE a.id = ?`,
+    [decoded.jti || "", decoded.id]
+  );
+  const admin = results[0];
+  if (
+    !admin ||
+    !admin.active ||
+    admin.revoked ||
+    admin.token_version !== decoded.ver
+  ) {
+    return null;
+  }
+
+  return {
+    id: admin.id,
+    email: admin.email,
+    role: admin.role,
+    jti: decoded.jti,
+    exp: decoded.exp,
+  };
+};
+
 // Middleware for verifying JWT token
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const token = req.header("Authorization")?.replace("Bearer ", "");
 
   if (!token) {
@@ -54,762 +178,6309 @@ const verifyToken = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Attach decoded user info to request
+    const admin = await authenticateAdmin(token);
+    if (!admin) return res.status(401).json({ error: "Invalid token" });
+
+    req.user = admin; // Attach admin info to request
     next();
   } catch (err) {
-    return res.status(400).json({ error: "Invalid token" });
+    console.error("Token check error:", err);
+    return res.status(500).json({ error: "DB error" });
   }
 };
 
-// === ROUTES ===
-// For Location
-app.get("/get-location", async (req, res) => {
-  try {
-
+// verifyToken plus a role check, e.g. requirePermission("blogs.write")
+const requirePermission = (permission) => [
+  verifyToken,
+  (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: "Not allowed for your role" });
+    }
+    next();
+  },
+];
 
-     const clientIp = req.headers["x-forwarded-for"]
-      ? req.headers["x-forwarded-for"].split(",")[0]
-      : req.socket.remoteAddress;
-    console.log(`Client IP: ${clientIp}`);
-    // 1. Get user location
+// Middleware for verifying customer portal sessions. Customer tokens are signed
+// with their own secret so they can never pass verifyToken, and vice versa.
+const verifyCustomerToken = (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
 
-    const locRes = await axios.get(
-      `https://ipinfo.io/${clientIp}/json?token=${process.env.TOKEN}`
-    );
-    console.log(locRes.data);
+  if (!token) {
+    return res.status(401).json({ error: "Access denied, token required" });
+  }
 
-    // 3. Send country data
-    res.json({
-      country: locRes.data.country, // Send country code in response
+  try {
+    const decoded = jwt.verify(token, process.env.CUSTOMER_JWT_SECRET, {
+      audience: "customer-session",
     });
+    req.customer = { id: decoded.sub, email: decoded.email };
+    next();
   } catch (err) {
-    console.error("Location fetch error:", err.message);
-    res.status(500).json({ error: "Failed to fetch location" });
+    return res.status(400).json({ error: "Invalid token" });
   }
-});
-
-
-// 1. User Submission
-app.post(
-  "/submit-user",
-  [
-    body("email").isEmail(),
-    body("phone").isLength({ min: 5 }),
-    body("name").notEmpty(),
-    body("plan").notEmpty(),
-    body("Price")
-      .trim()
-      .matches(/^[\$\€\¥\£]?\d+(\.\d{1,2})?$/)
-      .withMessage("Invalid price format"),
-  ],
-  (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res
-        .status(400)
-        .json({ message: "Invalid data", errors: errors.array() });
-    }
-
-    const { Price, email, name, phone, plan } = req.body;
-    console.log({ Price, email, name, phone, plan });
-    const checkEmailPhoneQuery =
-      "SELECT email, phone FROM users WHERE email = ? OR phone = ?";
-    connection.query(checkEmailPhoneQuery, [email, phone], (err, results) => {
-      if (err) return res.status(500).json({ message: "Database error" });
-
-      if (results.length > 0) {
-        const existing = results[0];
-        if (existing.email === email && existing.phone === phone) {
-          return res.status(400).json({
-            field: "both",
-            message: "Email and phone are already registered",
-          });
-        } else if (existing.email === email) {
-          return res
-            .status(400)
-            .json({ field: "email", message: "Email already registered" });
-        } else if (existing.phone === phone) {
-          return res.status(400).json({
-            field: "phone",
-            message: "Phone number already registered",
-          });
-        }
-      }
-
-      const timestamp = Date.now();
-      const randomDigits = Math.floor(1000 + Math.random() * 9000);
-      const invoiceNumber = `INV-${timestamp}-${randomDigits}`;
-
-      // Set invoice status based on plan
-      const invoiceStatus = plan === "Free Trial" ? "Free" : "pending";
-
-      const insertQuery = `
-        INSERT INTO users (name, email, phone, plan, Price, invoice, invoice_status)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `;
+};
 
-      connection.query(
-        insertQuery,
-        [name, email, phone, plan, Price, invoiceNumber, invoiceStatus],
-        async (err, results) => {
-          console.error("Insert Error:", err);
-          if (err) return res.status(500).json({ message: "Insert failed" });
+// Accepts either an admin token or a customer session token. Sets req.user
+// for admins and req.customer for customers, like the middlewares above.
+const verifyAdminOrCustomer = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
 
-          // Send email
-          const transporter = nodemailer.createTransport({
-            service: "gmail",
-            auth: {
-              user: process.env.EMAIL_USER,
-              pass: process.env.EMAIL_PASS,
-            },
-          });
+  if (!token) {
+    return res.status(401).json({ error: "Access denied, token required" });
+  }
 
-          const mailOptions = {
-            from: `"America IPTV" <${process.env.EMAIL_USER}>`,
-            to: email,
-            subject: "Thank you for your purchase!",
-            html: `
-              <h3>Hi ${name},</h3>
-              <p>Thank you for choosing our service!</p>
-              <p><strong>Invoice Number:</strong> ${invoiceNumber}</p>
-              <p>Plan: ${plan}</p>
-              <p>Price: ${Price}</p>
-              <br />
-              <p>Next step: Click the link below to send your invoice via WhatsApp:</p>
-              <a href="https://wa.me/447466036656?text=Hi,%20my%20invoice%20number%20is%20${invoiceNumber}" target="_blank">
-                Send Invoice on WhatsApp
-              </a>
-              <br/><br/>
-              <p>Regards,<br/>Team</p>
-            `,
-          };
+  try {
+    const decoded = jwt.verify(token, process.env.CUSTOMER_JWT_SECRET, {
+      audience: "customer-session",
+    });
+    req.customer = { id: decoded.sub, email: decoded.email };
+    return next();
+  } catch (err) {
+    // Not a customer session, try an admin token below
+  }
 
-          try {
-            const info = await transporter.sendMail(mailOptions);
-            console.log("Email sent:", info.response);
-          } catch (emailErr) {
-            console.error("Email sending error:", emailErr);
-          }
+  try {
+    const admin = await authenticateAdmin(token);
+    if (!admin) return res.status(400).json({ error: "Invalid token" });
 
-          res.status(200).json({
-            invoice: invoiceNumber,
-            message: "Invoice generated and email sent",
-          });
-        }
-      );
-    });
+    req.user = admin;
+    next();
+  } catch (err) {
+    console.error("Token check error:", err);
+    return res.status(500).json({ error: "DB error" });
   }
-);
+};
 
-// 2. Admin Login (JWT Token Returned)
-app.post(
-  "/admin-login",
-  [body("email").isEmail(), body("password").notEmpty()],
-  (req, res) => {
-    const { email, password } = req.body;
+// === HELPERS ===
 
-    connection.query(
-      "SELECT * FROM admin WHERE email = ?",
-      [email],
-      async (err, results) => {
-        console.log(err);
-        if (err) return res.status(500).json({ error: "DB error" });
+// The price of `plan` in `country` (see pickPlanPrice)
+const getLocalizedPrice = async (conn, plan, country) => {
+  const [prices] = await conn.query(
+    "SELECT region, price, currency FROM plan_prices WHERE plan_id = ?",
+    [plan.id]
+  );
+  return pickPlanPrice(plan, prices, country);
+};
 
-        if (results.length === 0) {
-          return res.status(401).json({ error: "Invalid credentials" });
-        }
+// A coupon with the ids of the plans it is limited to (empty for all plans).
+// `lock` holds the row until the transaction ends, for redemption.
+const findCoupon = async (conn, code, { lock = false } = {}) => {
+  const [coupons] = await conn.query(
+    `SELECT * FROM coupons WHERE code = ?${lock ? " FOR UPDATE" : ""}`,
+    [normalizeCouponCode(code)]
+  );
+  if (coupons.length === 0) return null;
 
-        const admin = results[0];
-        const isMatch = await bcrypt.compare(password, admin.password);
+  const [plans] = await conn.query(
+    "SELECT plan_id FROM coupon_plans WHERE coupon_id = ?",
+    [coupons[0].id]
+  );
+  return { ...coupons[0], planIds: plans.map((plan) => plan.plan_id) };
+};
 
-        if (!isMatch) {
-          return res.status(401).json({ error: "Invalid credentials" });
-        }
+// End of a plan term that starts at `startDate`, or null if the plan is unknown
+const getPlanEndDate = (startDate, plan) => {
+  if (!plan || !plan.duration_value || !plan.duration_unit) return null;
+  return moment(startDate).add(plan.duration_value, plan.duration_unit);
+};
 
-        // JWT generation
-        const token = jwt.sign(
-          { id: admin.id, email: admin.email },
-          process.env.JWT_SECRET,
-          { expiresIn: "1h" }
-        );
+// Next invoice number from the invoice_sequence table, e.g. INV-2025-000042.
+// The auto-increment id makes numbers unique even under concurrent signups.
+const nextInvoiceNumber = async (conn) => {
+  const [result] = await conn.query(
+    "INSERT INTO invoice_sequence () VALUES ()"
+  );
+  const sequence = String(result.insertId).padStart(6, "0");
+  return `INV-${moment().format("YYYY")}-${sequence}`;
+};
 
-        res.status(200).json({
-          message: "Login successful",
-          token, // Send token to the client
-        });
-      }
-    );
+// An invoice is due when the current term ends, or after INVOICE_DUE_DAYS
+// when there is no running term to pay ahead of
+const getInvoiceDueDate = (termEndDate) => {
+  const now = moment();
+  if (termEndDate && moment(termEndDate).isAfter(now)) {
+    return moment(termEndDate).toDate();
   }
-);
+  return now
+    .add(parseInt(process.env.INVOICE_DUE_DAYS || "7"), "days")
+    .toDate();
+};
 
-// 3. Get Users (Protected route)
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
 
-app.get("/get-users", verifyToken, (req, res) => {
-  const query =
-    "SELECT id, name, plan, invoice_status, phone, updated_at FROM users";
+// Admin login lockout: LOGIN_MAX_FAILURES failed attempts for one account
+// (since its last successful login) or LOGIN_MAX_FAILURES_IP from one IP
+// within LOGIN_LOCKOUT_MINUTES lock further attempts until the oldest of those
+// failures is older than the window.
+const LOGIN_LOCKOUT_MINUTES = parseInt(
+  process.env.LOGIN_LOCKOUT_MINUTES || "15"
+);
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || "5");
+const LOGIN_MAX_FAILURES_IP = parseInt(
+  process.env.LOGIN_MAX_FAILURES_IP || "20"
+);
 
-  connection.query(query, (err, results) => {
-    if (err) return res.status(500).json({ error: "Query error" });
+// Seconds until login is allowed again for this email and IP (0 if not locked)
+const getLoginLockout = async (email, ip) => {
+  const [[account]] = await db.query(
+    `SELECT COUNT(*) AS failures, MIN(created_at) AS firstFailure
+    FROM admin_login_attempts
+    WHERE email = ? AND success = 0
+      AND created_at > NOW() - INTERVAL ? MINUTE
+      AND created_at > COALESCE(
+        (SELECT MAX(created_at) FROM admin_login_attempts WHERE email = ? AND success = 1),
+        '1970-01-02'
+      )`,
+    [email, LOGIN_LOCKOUT_MINUTES, email]
+  );
+  const [[address]] = await db.query(
+    `SELECT COUNT(*) AS failures, MIN(created_at) AS firstFailure
+    FROM admin_login_attempts
+    WHERE ip = ? AND success = 0 AND created_at > NOW() - INTERVAL ? MINUTE`,
+    [ip, LOGIN_LOCKOUT_MINUTES]
+  );
 
-    const updates = [];
-    const currentDate = moment().startOf("day");
+  const lockedUntil = [
+    [account, LOGIN_MAX_FAILURES],
+    [address, LOGIN_MAX_FAILURES_IP],
+  ]
+    .filter(([attempts, max]) => attempts.failures >= max)
+    .map(([attempts]) =>
+      moment(attempts.firstFailure).add(LOGIN_LOCKOUT_MINUTES, "minutes")
+    );
+  if (lockedUntil.length === 0) return 0;
 
-    results.forEach((user) => {
-      const updatedAt = moment(user.updated_at).startOf("day");
-      let dueDate;
+  return Math.max(
+    1,
+    Math.ceil(moment.max(lockedUntil).diff(moment(), "seconds", true))
+  );
+};
 
-      if (user.invoice_status === "paid") {
-        if (user.plan.includes("Monthly")) {
-          dueDate = updatedAt.clone().add(1, "month");
-        } else if (user.plan.includes("6-Month")) {
-          dueDate = updatedAt.clone().add(6, "months");
-        } else if (user.plan.includes("Yearly")) {
-          dueDate = updatedAt.clone().add(1, "year");
-        }
-      }
+const recordLoginAttempt = (email, ip, success) =>
+  db.query(
+    "INSERT INTO admin_login_attempts (email, ip, success) VALUES (?, ?, ?)",
+    [email, ip || null, success ? 1 : 0]
+  );
 
-      // 👉 Handle Free Trial expiry: 7-day period
-      if (user.invoice_status === "Free" && user.plan === "Free Trial") {
-        dueDate = updatedAt.clone().add(7, "days");
-      }
+const sendLockedOut = (res, retryAfter) =>
+  res
+    .set("Retry-After", String(retryAfter))
+    .status(429)
+    .json({ error: "Too many failed login attempts, try again later" });
 
-      // Common condition: if dueDate is past
-      if (dueDate && dueDate.isBefore(currentDate)) {
-        updates.push(user.id);
-      }
-    });
+// Ten single-use recovery codes like "3f9a-c1d2". Only their hashes are kept.
+const createRecoveryCodes = async (conn, adminId) => {
+  await conn.query("DELETE FROM admin_recovery_codes WHERE admin_id = ?", [
+    adminId,
+  ]);
 
-    if (updates.length > 0) {
-      const updateQuery = `UPDATE users SET invoice_status = 'pending' WHERE id IN (?)`;
-      connection.query(updateQuery, [updates], (updateErr) => {
-        if (updateErr) return res.status(500).json({ error: "Update error" });
+  const codes = Array.from({ length: 10 }, () =>
+    crypto
+      .randomBytes(4)
+      .toString("hex")
+      .replace(/^(.{4})/, "$1-")
+  );
+  await conn.query(
+    "INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES ?",
+    [codes.map((code) => [adminId, hashRecoveryCode(code)])]
+  );
+  return codes;
+};
 
-        // Re-fetch updated user data
-        connection.query(query, (reQueryErr, updatedResults) => {
-          if (reQueryErr)
-            return res.status(500).json({ error: "Final query error" });
+const hashRecoveryCode = (code) =>
+  hashToken(
+    String(code)
+      .toLowerCase()
+      .replace(/[^0-9a-f]/g, "")
+  );
 
-          res.status(200).json({ users: updatedResults });
-        });
-      });
-    } else {
-      res.status(200).json({ users: results });
-    }
-  });
-});
+// Check a second factor: a current TOTP code, or else an unused recovery code,
+// which is used up. `admin` needs id, totp_secret and totp_last_step (read FOR
+// UPDATE by the caller).
+const verifySecondFactor = async (conn, admin, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verify(admin.totp_secret, code, {
+      afterStep: admin.totp_last_step ?? -1,
+    });
+    if (step === null) return false;
 
-// 4. Update Status (Protected route)
-app.put("/update-status/:id", verifyToken, (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
+    await conn.query("UPDATE admin SET totp_last_step = ? WHERE id = ?", [
+      step,
+      admin.id,
+    ]);
+    return true;
+  }
 
-  if (!status) {
-    return res.status(400).json({ error: "Invoice status required" });
+  if (recoveryCode) {
+    const [result] = await conn.query(
+      `UPDATE admin_recovery_codes SET used_at = NOW()
+      WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [admin.id, hashRecoveryCode(recoveryCode)]
+    );
+    return result.affectedRows > 0;
   }
 
-  // Step 1: Get user details from the database
-  const getUserQuery = "SELECT name, plan, email FROM users WHERE id = ?";
-  connection.query(getUserQuery, [id], async (err, results) => {
-    if (err) {
-      return res.status(500).json({ error: "Database error" });
-    }
+  return false;
+};
 
-    if (results.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+// Access token (ADMIN_TOKEN_TTL, 15 minutes by default) plus an opaque refresh
+// token valid for ADMIN_REFRESH_DAYS
+const issueAdminTokens = async (conn, admin) => {
+  const token = jwt.sign(
+    {
+      id: admin.id,
+      email: admin.email,
+      role: admin.role,
+      ver: admin.token_version,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.ADMIN_TOKEN_TTL || "15m",
+      jwtid: crypto.randomUUID(),
     }
+  );
 
-    const user = results[0]; // user details: name, plan, email
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+  await conn.query(
+    `INSERT INTO admin_refresh_tokens (admin_id, token_hash, expires_at)
+    VALUES (?, ?, NOW() + INTERVAL ? DAY)`,
+    [
+      admin.id,
+      hashToken(refreshToken),
+      parseInt(process.env.ADMIN_REFRESH_DAYS || "30"),
+    ]
+  );
 
-    // Step 2: Update the invoice status in the database
-    const updateStatusQuery =
-      "UPDATE users SET invoice_status = ? WHERE id = ?";
-    connection.query(
-      updateStatusQuery,
-      [status, id],
-      async (err2, updateResults) => {
-        if (err2) {
-          return res.status(500).json({ error: "Update failed" });
-        }
+  return { token, refreshToken };
+};
 
-        if (updateResults.affectedRows === 0) {
-          return res.status(404).json({ error: "User not found" });
-        }
+// End every session of an admin: outstanding access tokens stop matching the
+// bumped token_version and refresh tokens are revoked
+const revokeAdminSessions = async (conn, adminId) => {
+  await conn.query(
+    "UPDATE admin SET token_version = token_version + 1 WHERE id = ?",
+    [adminId]
+  );
+  await conn.query(
+    "UPDATE admin_refresh_tokens SET revoked_at = NOW() WHERE admin_id = ? AND revoked_at IS NULL",
+    [adminId]
+  );
+};
 
-        // Step 3: Calculate the start and end date if the plan is paid
-        let startDate = new Date();
-        let endDate = new Date();
+// Run `work(conn)` inside a transaction on a dedicated pool connection
+const withTransaction = async (work) => {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
 
-        const getPlanDuration = (plan) => {
-          if (plan.includes("Monthly")) return { months: 1 };
-          if (plan.includes("6-Month")) return { months: 6 };
-          if (plan.includes("Yearly")) return { years: 1 };
-          return null; // Unknown plan
-        };
-        if (status === "paid") {
-          const duration = getPlanDuration(user.plan);
-          if (duration) {
-            if (duration.months)
-              endDate.setMonth(endDate.getMonth() + duration.months);
-            if (duration.years)
-              endDate.setFullYear(endDate.getFullYear() + duration.years);
-          }
-        }
+// Open the subscription term for a customer who signed up for a trial plan
+const startTrial = async (conn, userId, plan) => {
+  const startDate = moment();
+  const endDate = getPlanEndDate(startDate, plan);
+  await conn.query(
+    "INSERT INTO subscriptions (user_id, plan_id, start_date, end_date) VALUES (?, ?, ?, ?)",
+    [userId, plan.id, startDate.toDate(), endDate.toDate()]
+  );
+  await conn.query("UPDATE users SET trial_started_at = ? WHERE id = ?", [
+    startDate.toDate(),
+    userId,
+  ]);
+};
 
-        // Step 4: Send appropriate email based on status (only for 'paid')
-        const transporter = nodemailer.createTransport({
-          service: "gmail",
-          auth: {
-            user: process.env.EMAIL_USER,
-            pass: process.env.EMAIL_PASS,
-          },
-        });
+// Free days a referrer earns when someone they referred pays for the first time
+const REFERRAL_REWARD_DAYS = parseInt(process.env.REFERRAL_REWARD_DAYS || "30");
+const REFERRAL_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
 
-        let subject, html;
-        if (status === "paid") {
-          subject = "Your Payment is Confirmed!";
-          html = `
-            <h3>Hi ${user.name},</h3>
-            <p>Thank you for your payment!</p>
-            <p>Your subscription is now active and valid from <strong>${startDate.toDateString()}</strong> to <strong>${endDate.toDateString()}</strong>.</p>
-            <p>Enjoy our service!</p>
-          `;
-        }
-
-        try {
-          const info = await transporter.sendMail({
-            from: `"America IPTV" <${process.env.EMAIL_USER}>`,
-            to: user.email,
-            subject,
-            html,
-          });
-          console.log("Email sent:", info.response);
-        } catch (emailErr) {
-          console.error("Email sending error:", emailErr);
-        }
+// Give a new customer their own referral code to share
+const assignReferralCode = async (conn, userId) => {
+  for (let attempt = 0; ; attempt++) {
+    const code = Array.from(
+      crypto.randomBytes(8),
+      (byte) => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]
+    ).join("");
+    try {
+      await conn.query("UPDATE users SET referral_code = ? WHERE id = ?", [
+        code,
+        userId,
+      ]);
+      return code;
+    } catch (err) {
+      if (err.code !== "ER_DUP_ENTRY" || attempt >= 4) throw err;
+    }
+  }
+};
 
-        res.status(200).json({ message: "Status updated and email sent" });
-      }
-    );
-  });
-});
+// Add a customer's unapplied referral credits to their subscription, if it is
+// running. Otherwise they wait for the customer's next payment.
+const applyReferralCredits = async (conn, userId) => {
+  const [subscriptions] = await conn.query(
+    `SELECT s.id FROM subscriptions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.user_id = ? AND s.end_date > NOW() AND u.invoice_status <> 'cancelled'
+    FOR UPDATE`,
+    [userId]
+  );
+  if (subscriptions.length === 0) return;
 
-// 5. Delete User Route (This handles cancellation logic and sends the cancellation email)
-app.delete("/delete-user/:id", verifyToken, (req, res) => {
-  const userId = req.params.id;
+  const [credits] = await conn.query(
+    "SELECT id, days FROM referral_credits WHERE referrer_id = ? AND applied_at IS NULL FOR UPDATE",
+    [userId]
+  );
+  if (credits.length === 0) return;
 
-  // Step 1: Get user details before deletion to send the cancellation email
-  const getUserQuery = "SELECT name, plan, email FROM users WHERE id = ?";
-  connection.query(getUserQuery, [userId], async (err, results) => {
-    if (err) {
-      return res.status(500).json({ error: "Database error" });
-    }
+  const days = credits.reduce((sum, credit) => sum + credit.days, 0);
+  await conn.query(
+    "UPDATE subscriptions SET end_date = end_date + INTERVAL ? DAY WHERE id = ?",
+    [days, subscriptions[0].id]
+  );
+  await conn.query(
+    "UPDATE referral_credits SET applied_at = NOW() WHERE id IN (?)",
+    [credits.map((credit) => credit.id)]
+  );
+  await recordAudit(conn, null, {
+    action: "referral.credit",
+    targetType: "user",
+    targetId: userId,
+    after: { days, credits: credits.map((credit) => credit.id) },
+  });
+};
 
-    if (results.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
+// After a customer's first payment, credit whoever referred them
+const rewardReferrer = async (conn, userId) => {
+  const [[{ payments }]] = await conn.query(
+    "SELECT COUNT(*) AS payments FROM payments WHERE user_id = ?",
+    [userId]
+  );
+  if (payments !== 1) return;
+
+  const [users] = await conn.query(
+    "SELECT referred_by FROM users WHERE id = ?",
+    [userId]
+  );
+  const referrerId = users[0]?.referred_by;
+  if (!referrerId) return;
 
-    const user = results[0]; // user details: name, plan, email
+  // referred_id is unique, so a referral is only ever rewarded once
+  const [result] = await conn.query(
+    "INSERT IGNORE INTO referral_credits (referrer_id, referred_id, days) VALUES (?, ?, ?)",
+    [referrerId, userId, REFERRAL_REWARD_DAYS]
+  );
+  if (result.affectedRows > 0) await applyReferralCredits(conn, referrerId);
+};
 
-    // Step 2: Delete the user from the database
-    connection.query(
-      "DELETE FROM users WHERE id = ?",
-      [userId],
-      async (err2, deleteResults) => {
-        if (err2) {
-          return res.status(500).json({ message: "Delete failed" });
-        }
+// Paying a customer whose current invoice is already in the ledger (an admin
+// or the provider renewing an expired term) is a renewal: like the portal, it
+// gets its own invoice number, at the full price since coupons only discount
+// the invoice they were redeemed on. Updates `user` (as recordPayment takes it)
+// to match.
+const startRenewalInvoice = async (conn, user) => {
+  const [settled] = await conn.query(
+    "SELECT id FROM payments WHERE invoice = ? LIMIT 1",
+    [user.invoice]
+  );
+  if (settled.length === 0) return;
 
-        if (deleteResults.affectedRows === 0) {
-          return res.status(404).json({ message: "User not found" });
-        }
+  user.price =
+    Math.round((Number(user.price) + Number(user.discount_amount || 0)) * 100) /
+    100;
+  user.coupon_code = null;
+  user.discount_amount = null;
+  user.invoice = await nextInvoiceNumber(conn);
+  user.invoice_issued_at = new Date();
+  user.invoice_due_at = user.invoice_issued_at;
 
-        // Step 3: Send cancellation email
-        const transporter = nodemailer.createTransport({
-          service: "gmail",
-          auth: {
-            user: process.env.EMAIL_USER,
-            pass: process.env.EMAIL_PASS,
-          },
-        });
+  await conn.query(
+    `UPDATE users SET invoice = ?, invoice_issued_at = ?, invoice_due_at = ?, Price = ?,
+      price_amount = ?, price_currency = ?, coupon_code = NULL, discount_amount = NULL
+    WHERE id = ?`,
+    [
+      user.invoice,
+      user.invoice_issued_at,
+      user.invoice_due_at,
+      formatPrice(user.price, user.currency),
+      user.price,
+      user.currency,
+      user.id,
+    ]
+  );
+};
 
-        let subject = "Your Subscription is Cancelled";
-        let html = `
-          <h3>Hi ${user.name},</h3>
-          <p>We're sorry to inform you that your subscription has been cancelled.</p>
-          <p>If you wish to re-subscribe in the future, please feel free to reach out to us!</p>
-        `;
+// Add a confirmed payment to the ledger and extend the customer's subscription.
+// `user` needs id, plan_id, the invoice number and dates, the plan's duration,
+// and the price and currency the customer was quoted (plus coupon_code and
+// discount_amount when a coupon was used).
+// Renewals continue from the current end date, so paying early loses nothing.
+// The payment also settles referral credits: the customer's own, and their
+// referrer's reward if this is their first payment.
+const recordPayment = async (conn, user, { source, reference = null }) => {
+  const [subscriptions] = await conn.query(
+    "SELECT id, end_date FROM subscriptions WHERE user_id = ? FOR UPDATE",
+    [user.id]
+  );
+  const current = subscriptions[0];
+  const now = moment();
 
-        try {
-          const info = await transporter.sendMail({
-            from: `"America IPTV" <${process.env.EMAIL_USER}>`,
-            to: user.email,
-            subject,
-            html,
-          });
-          console.log("Cancellation email sent:", info.response);
-        } catch (emailErr) {
-          console.error("Email sending error:", emailErr);
-        }
+  const startDate =
+    current && moment(current.end_date).isAfter(now)
+      ? moment(current.end_date)
+      : now;
+  const endDate = getPlanEndDate(startDate, user);
 
-        res
-          .status(200)
-          .json({ message: "User deleted and cancellation email sent" });
-      }
+  let subscriptionId;
+  if (current) {
+    subscriptionId = current.id;
+    await conn.query(
+      "UPDATE subscriptions SET plan_id = ?, end_date = ? WHERE id = ?",
+      [user.plan_id, endDate.toDate(), subscriptionId]
     );
-  });
-});
-// 6. Get all blogs
-app.get("/blogs", (req, res) => {
-  const query = `
-    SELECT 
-      b.id AS blogId, b.title, b.image_url, b.intro,
-      s.id AS sectionId, s.heading, s.content
-    FROM blogs b
-    LEFT JOIN blog_sections s ON b.id = s.blog_id
-  `;
+  } else {
+    const [result] = await conn.query(
+      "INSERT INTO subscriptions (user_id, plan_id, start_date, end_date) VALUES (?, ?, ?, ?)",
+      [user.id, user.plan_id, startDate.toDate(), endDate.toDate()]
+    );
+    subscriptionId = result.insertId;
+  }
 
-  connection.query(query, (err, results) => {
-    if (err) {
-      console.error("Blog fetch error:", err);
-      return res.status(500).json({ error: "Failed to fetch blogs" });
-    }
+  await conn.query(
+    `INSERT INTO payments
+      (user_id, subscription_id, plan_id, invoice, invoice_issued_at, invoice_due_at,
+        amount, currency, coupon_code, discount_amount, period_start, period_end,
+        source, reference)
+     VALUES (?)`,
+    [
+      [
+        user.id,
+        subscriptionId,
+        user.plan_id,
+        user.invoice,
+        user.invoice_issued_at,
+        user.invoice_due_at,
+        user.price,
+        user.currency,
+        user.coupon_code || null,
+        user.discount_amount ?? null,
+        startDate.toDate(),
+        endDate.toDate(),
+        source,
+        reference,
+      ],
+    ]
+  );
 
-    const blogsMap = new Map();
+  await applyReferralCredits(conn, user.id);
+  await rewardReferrer(conn, user.id);
 
-    results.forEach((row) => {
-      if (!blogsMap.has(row.blogId)) {
-        blogsMap.set(row.blogId, {
-          id: row.blogId,
-          title: row.title,
-          image: row.image_url,
-          intro: row.intro,
-          sections: [],
-        });
-      }
+  return { startDate: startDate.toDate(), endDate: endDate.toDate() };
+};
 
-      if (row.sectionId) {
-        blogsMap.get(row.blogId).sections.push({
-          id: row.sectionId,
-          heading: row.heading,
-          content: row.content,
-        });
-      }
-    });
+// Invoice status lifecycle: each status lists the statuses it may move to
+const INVOICE_TRANSITIONS = {
+  trial: ["pending", "paid", "expired", "cancelled"],
+  pending: ["paid", "expired", "cancelled"],
+  paid: ["pending", "expired", "cancelled"],
+  expired: ["pending", "paid", "cancelled"],
+  cancelled: ["pending", "paid"],
+};
+const INVOICE_STATUSES = Object.keys(INVOICE_TRANSITIONS);
 
-    res.status(200).json({ blogs: Array.from(blogsMap.values()) });
-  });
-});
+const canTransition = (from, to) =>
+  (INVOICE_TRANSITIONS[from] || []).includes(to);
 
-// Delete blog
-app.delete("/delete-blog/:id", verifyToken, (req, res) => {
-  const blogId = req.params.id;
+// Change a customer's invoice status. Cancelling stamps cancelled_at and the
+// reason; moving to any other status clears them again.
+const setInvoiceStatus = async (conn, userId, status, reason = null) => {
+  if (status === "cancelled") {
+    await conn.query(
+      `UPDATE users SET invoice_status = 'cancelled', cancelled_at = NOW(), cancellation_reason = ?
+      WHERE id = ?`,
+      [reason, userId]
+    );
+  } else {
+    await conn.query(
+      `UPDATE users SET invoice_status = ?, cancelled_at = NULL, cancellation_reason = NULL
+      WHERE id = ?`,
+      [status, userId]
+    );
+  }
+};
 
-  // Delete related sections first
-  const deleteSectionsQuery = "DELETE FROM blog_sections WHERE blog_id = ?";
-  connection.query(deleteSectionsQuery, [blogId], (err, result) => {
-    if (err) {
-      return res
-        .status(500)
-        .json({ error: "Failed to delete blog sections", details: err });
-    }
+// Queue the "Payment is Confirmed" notification for a term returned by
+// recordPayment
+const queuePaymentConfirmation = async (conn, user, term) => {
+  const language = mailer.pickLanguage(user);
+  await notifier.notify(conn, user.id, "payment-confirmed", {
+    vars: {
+      name: user.name,
+      startDate: mailer.formatDate(term.startDate, language),
+      endDate: mailer.formatDate(term.endDate, language),
+    },
+    attachments: [await getInvoiceAttachment(conn, user.invoice)],
+  });
+};
 
-    // Now delete the blog itself
-    const deleteBlogQuery = "DELETE FROM blogs WHERE id = ?";
-    connection.query(deleteBlogQuery, [blogId], (err, result) => {
-      if (err) {
-        return res
-          .status(500)
-          .json({ error: "Failed to delete blog", details: err });
-      }
+// wa.me link that opens a chat with the invoice number already typed
+const getWhatsappInvoiceUrl = (invoice) =>
+  `https://wa.me/447466036656?text=${encodeURIComponent(
+    `Hi, my invoice number is ${invoice}`
+  )}`;
 
-      res.status(200).json({
-        message: "Blog and related sections deleted successfully",
-      });
-    });
-  });
+const formatPlan = (row) => ({
+  id: row.id,
+  name: row.name,
+  duration: { value: row.duration_value, unit: row.duration_unit },
+  isTrial: !!row.is_trial,
+  price: Number(row.price),
+  currency: row.currency,
+  active: !!row.active,
 });
 
-// Update blog
+// Append an entry to the audit log. The actor comes from the request: the
+// admin (req.user), the portal customer (req.customer) or, for webhooks and
+// background jobs, the system. Pass the transaction's connection so the entry
+// is only written if the change it describes commits.
+const recordAudit = async (
+  conn,
+  req,
+  { action, targetType, targetId, before = null, after = null }
+) => {
+  let actor = { type: "system", id: null, email: null };
+  if (req?.user) {
+    actor = { type: "admin", id: req.user.id, email: req.user.email };
+  } else if (req?.customer) {
+    actor = {
+      type: "customer",
+      id: req.customer.id,
+      email: req.customer.email,
+    };
+  }
+
+  await conn.query(
+    `INSERT INTO audit_log
+      (actor_type, actor_id, actor_email, action, target_type, target_id, before_value, after_value, ip)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      actor.type,
+      actor.id,
+      actor.email,
+      action,
+      targetType,
+      targetId == null ? null : String(targetId),
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after),
+      req?.ip || null,
+    ]
+  );
+};
 
-app.put("/update-blog/:id", verifyToken, (req, res) => {
-  const blogId = req.params.id;
-  const { title, image, intro, sections } = req.body;
+// A blog with its sections, as stored in the audit log
+const getBlogSnapshot = async (conn, blogId) => {
+  const [blogs] = await conn.query(
+    `SELECT id, title, slug, status, scheduled_at, published_at, image_url, media_id, intro,
+      meta_title, meta_description, canonical_url, category_id, version
+    FROM blogs WHERE id = ?`,
+    [blogId]
+  );
+  if (blogs.length === 0) return null;
 
-  // Step 1: Update blog info
-  connection.query(
-    "UPDATE blogs SET title = ?, image_url = ?, intro = ? WHERE id = ?",
-    [title, image, intro, blogId],
-    (err) => {
-      if (err) {
-        return res.status(500).json({ error: "Failed to update blog" });
-      }
+  const [sections] = await conn.query(
+    "SELECT id, heading, content FROM blog_sections WHERE blog_id = ? ORDER BY id",
+    [blogId]
+  );
+  const [tags] = await conn.query(
+    "SELECT tag_id FROM blog_post_tags WHERE blog_id = ? ORDER BY tag_id",
+    [blogId]
+  );
+  return { ...blogs[0], tag_ids: tags.map((tag) => tag.tag_id), sections };
+};
 
-      // Step 2: Delete removed sections
-      const sectionIds = sections.filter((s) => s.id).map((s) => s.id);
-      const deleteQuery = sectionIds.length
-        ? "DELETE FROM blog_sections WHERE blog_id = ? AND id NOT IN (?)"
-        : "DELETE FROM blog_sections WHERE blog_id = ?";
+// Stores a blog's current state as the revision for its current version
+const saveBlogRevision = async (conn, req, blogId, action) => {
+  const snapshot = await getBlogSnapshot(conn, blogId);
+  await conn.query(
+    "INSERT INTO blog_revisions (blog_id, version, action, snapshot, admin_id) VALUES (?, ?, ?, ?, ?)",
+    [
+      blogId,
+      snapshot.version,
+      action,
+      JSON.stringify(snapshot),
+      req.user?.id || null,
+    ]
+  );
+  return snapshot;
+};
 
-      connection.query(
-        deleteQuery,
-        sectionIds.length ? [blogId, sectionIds] : [blogId],
-        (err) => {
-          if (err) {
-            return res
-              .status(500)
-              .json({ error: "Failed to delete old sections" });
-          }
+// The blog version an editor loaded, from a `version` body field or an
+// If-Match header ("3" or W/"3"). Undefined when neither is sent.
+const getExpectedVersion = (req) => {
+  if (req.body?.version !== undefined) {
+    const version = Number(req.body.version);
+    return Number.isInteger(version) ? version : undefined;
+  }
+  const match = /^(?:W\/)?"(\d+)"$/.exec(req.header("If-Match") || "");
+  return match ? Number(match[1]) : undefined;
+};
 
-          // Step 3: Split into new vs existing sections
-          const newSections = sections.filter((s) => !s.id);
-          const existingSections = sections.filter((s) => s.id);
-
-          // Step 4: Insert new sections
-          const insertNew = (cb) => {
-            if (newSections.length === 0) return cb();
-
-            const newValues = newSections.map((s) => [
-              blogId,
-              s.heading,
-              s.content,
-            ]);
-            connection.query(
-              "INSERT INTO blog_sections (blog_id, heading, content) VALUES ?",
-              [newValues],
-              cb
-            );
-          };
+// Locks a blog row for the rest of the transaction and checks it is still at
+// the version the editor loaded. Resolves to "not-found", "conflict" or the
+// current version.
+const lockBlogVersion = async (conn, blogId, expectedVersion) => {
+  const [rows] = await conn.query(
+    "SELECT version FROM blogs WHERE id = ? FOR UPDATE",
+    [blogId]
+  );
+  if (rows.length === 0) return "not-found";
+  if (expectedVersion !== rows[0].version) return "conflict";
+  return rows[0].version;
+};
 
-          // Step 5: Upsert existing sections
-          const upsertExisting = (cb) => {
-            if (existingSections.length === 0) return cb();
-
-            const existingValues = existingSections.map((s) => [
-              blogId,
-              s.heading,
-              s.content,
-              s.id,
-            ]);
-            connection.query(
-              `INSERT INTO blog_sections (blog_id, heading, content, id)
-             VALUES ?
-             ON DUPLICATE KEY UPDATE heading = VALUES(heading), content = VALUES(content)`,
-              [existingValues],
-              cb
-            );
-          };
+const BLOG_STATUSES = ["draft", "scheduled", "published"];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
 
-          // Step 6: Run both
-          insertNew((err) => {
-            if (err) {
-              console.error(err);
-              return res
-                .status(500)
-                .json({ error: "Failed to insert new sections" });
-            }
-            upsertExisting((err) => {
-              if (err) {
-                console.error(err);
-                return res
-                  .status(500)
-                  .json({ error: "Failed to update existing sections" });
-              }
-              res
-                .status(200)
-                .json({ message: "Blog and sections updated successfully" });
-            });
-          });
-        }
-      );
-    }
+// URL slug from a title: "Best IPTV Apps (2025)!" -> "best-iptv-apps-2025"
+const slugify = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 190)
+    .replace(/^-+|-+$/g, "");
+
+// `base`, or base-2, base-3, ... whichever no other blog uses
+const getUniqueSlug = async (conn, base, blogId = null) => {
+  const root = base || "post";
+  const [rows] = await conn.query(
+    "SELECT slug FROM blogs WHERE (slug = ? OR slug LIKE ?) AND id <> ?",
+    [root, `${root}-%`, blogId || 0]
   );
-});
+  const taken = new Set(rows.map((row) => row.slug));
 
-// Add new blog
-app.post("/add-blog", verifyToken, (req, res) => {
-  const { title, image, intro, sections } = req.body;
+  let slug = root;
+  for (let n = 2; taken.has(slug); n++) slug = `${root}-${n}`;
+  return slug;
+};
 
-  if (!title || !sections || !Array.isArray(sections)) {
-    return res.status(400).json({ error: "Title and sections are required" });
+// Slug, status and publishing dates for an add or update request. `current`
+// is the stored blog when updating; fields left out of the body keep their
+// stored values. New posts are published straight away unless a status is
+// given. Resolves to { values } or { error, status }.
+const getBlogPublishing = async (conn, body, current = null) => {
+  const status = body.status ?? current?.status ?? "published";
+  if (!BLOG_STATUSES.includes(status)) {
+    return {
+      error: `Status must be one of ${BLOG_STATUSES.join(", ")}`,
+      status: 400,
+    };
   }
 
-  if (sections.length === 0) {
-    return res.status(400).json({ error: "At least one section is required" });
+  let scheduledAt = null;
+  if (status === "scheduled") {
+    const publishAt =
+      body.publishAt !== undefined
+        ? moment(body.publishAt, moment.ISO_8601, true)
+        : current?.scheduled_at && moment(current.scheduled_at);
+    if (!publishAt || !publishAt.isValid() || !publishAt.isAfter(moment())) {
+      return {
+        error: "Scheduled posts need a future publishAt date",
+        status: 400,
+      };
+    }
+    scheduledAt = publishAt.toDate();
   }
 
-  // Step 1: Check if blog with same title exists
-  connection.query(
-    "SELECT id FROM blogs WHERE title = ?",
-    [title],
-    (err, results) => {
-      if (err) {
-        console.error(err);
-        return res
-          .status(500)
-          .json({ error: "Database error while checking blog" });
-      }
+  // The first publication date is kept when a post is edited or unpublished
+  const publishedAt =
+    current?.published_at || (status === "published" ? new Date() : null);
 
-      if (results.length > 0) {
+  let slug;
+  if (body.slug) {
+    slug = String(body.slug).toLowerCase();
+    if (!SLUG_PATTERN.test(slug) || slug.length > 200) {
+      return {
+        error: "Slug may only contain lowercase letters, digits and dashes",
+        status: 400,
+      };
+    }
+    const [taken] = await conn.query(
+      "SELECT id FROM blogs WHERE slug = ? AND id <> ?",
+      [slug, current?.id || 0]
+    );
+    if (taken.length > 0) {
+      return { error: "Another blog already uses this slug", status: 409 };
+    }
+  } else if (current) {
+    slug = current.slug; // links keep working when the title changes
+  } else {
+    slug = await getUniqueSlug(conn, slugify(body.title));
+  }
+
+  return {
+    values: {
+      slug,
+      status,
+      scheduled_at: scheduledAt,
+      published_at: publishedAt,
+    },
+  };
+};
+
+// The cover image: an uploaded media id (mediaId) or a pasted URL (image).
+// On update, a changed image URL or mediaId: null detaches the media item.
+const getBlogCover = async (conn, body, current = null) => {
+  if (body.mediaId !== undefined && body.mediaId !== null) {
+    const [media] = await conn.query(
+      "SELECT id, filename FROM media WHERE id = ?",
+      [body.mediaId]
+    );
+    if (media.length === 0) {
+      return { error: "Media not found", status: 400 };
+    }
+    return {
+      values: { image_url: getMediaUrl(media[0]), media_id: media[0].id },
+    };
+  }
+
+  const keepMedia =
+    body.mediaId === undefined &&
+    current?.media_id &&
+    body.image === current.image_url;
+  return {
+    values: {
+      image_url: body.image,
+      media_id: keepMedia ? current.media_id : null,
+    },
+  };
+};
+
+// metaTitle, metaDescription and canonicalUrl. Left out on update they keep
+// their stored value; an empty string clears them.
+const BLOG_SEO_FIELDS = {
+  metaTitle: { column: "meta_title", maxLength: 255 },
+  metaDescription: { column: "meta_description", maxLength: 500 },
+  canonicalUrl: { column: "canonical_url", maxLength: 500 },
+};
+
+const getBlogSeo = (body, current = null) => {
+  const values = {};
+  for (const [field, { column, maxLength }] of Object.entries(
+    BLOG_SEO_FIELDS
+  )) {
+    if (body[field] === undefined) {
+      values[column] = current ? current[column] : null;
+      continue;
+    }
+
+    const value = body[field] === null ? "" : String(body[field]).trim();
+    if (value.length > maxLength) {
+      return {
+        error: `${field} can be at most ${maxLength} characters`,
+        status: 400,
+      };
+    }
+    values[column] = value || null;
+  }
+
+  if (
+    values.canonical_url &&
+    !/^https?:\/\/[^\s]+$/i.test(values.canonical_url)
+  ) {
+    return {
+      error: "canonicalUrl must be an absolute http(s) URL",
+      status: 400,
+    };
+  }
+  return { values };
+};
+
+// categoryId: a blog category id, or null for none. Left out on update the
+// stored category is kept.
+const getBlogCategory = async (conn, body, current = null) => {
+  if (body.categoryId === undefined) {
+    return { values: { category_id: current ? current.category_id : null } };
+  }
+  if (body.categoryId === null) return { values: { category_id: null } };
+
+  const [categories] = await conn.query(
+    "SELECT id FROM blog_categories WHERE id = ?",
+    [body.categoryId]
+  );
+  if (categories.length === 0) {
+    return { error: "Category not found", status: 400 };
+  }
+  return { values: { category_id: categories[0].id } };
+};
+
+// tagIds: the full list of tag ids for the post. Resolves to { tagIds }, with
+// tagIds undefined when the body leaves them out, or { error, status }.
+const getBlogTags = async (conn, body) => {
+  if (body.tagIds === undefined) return { tagIds: undefined };
+  if (!Array.isArray(body.tagIds)) {
+    return { error: "tagIds must be an array", status: 400 };
+  }
+
+  const tagIds = [...new Set(body.tagIds.map(Number))];
+  if (tagIds.length === 0) return { tagIds };
+
+  const [tags] = await conn.query("SELECT id FROM blog_tags WHERE id IN (?)", [
+    tagIds,
+  ]);
+  if (tags.length !== tagIds.length) {
+    return { error: "Tag not found", status: 400 };
+  }
+  return { tagIds };
+};
+
+// Replaces a post's tags
+const setBlogTags = async (conn, blogId, tagIds) => {
+  await conn.query("DELETE FROM blog_post_tags WHERE blog_id = ?", [blogId]);
+  if (tagIds.length > 0) {
+    await conn.query("INSERT INTO blog_post_tags (blog_id, tag_id) VALUES ?", [
+      tagIds.map((tagId) => [blogId, tagId]),
+    ]);
+  }
+};
+
+// Columns for an add or update request: content, cover image, category, SEO
+// metadata and publishing. Resolves to { values } or { error, status }.
+const getBlogFields = async (conn, body, current = null) => {
+  const cover = await getBlogCover(conn, body, current);
+  if (cover.error) return cover;
+
+  const category = await getBlogCategory(conn, body, current);
+  if (category.error) return category;
+
+  const seo = getBlogSeo(body, current);
+  if (seo.error) return seo;
+
+  const publishing = await getBlogPublishing(conn, body, current);
+  if (publishing.error) return publishing;
+
+  return {
+    values: {
+      title: body.title,
+      intro: body.intro,
+      ...cover.values,
+      ...category.values,
+      ...seo.values,
+      ...publishing.values,
+    },
+  };
+};
+
+const formatTerm = (row) => ({ id: row.id, name: row.name, slug: row.slug });
+
+const formatBlog = (
+  row,
+  sections = [],
+  { category = null, tags = [] } = {}
+) => ({
+  id: row.id,
+  slug: row.slug,
+  title: row.title,
+  image: row.image_url,
+  mediaId: row.media_id,
+  intro: row.intro,
+  category: category && formatTerm(category),
+  tags: tags.map(formatTerm),
+  status: row.status,
+  scheduledAt: row.scheduled_at,
+  publishedAt: row.published_at,
+  metaTitle: row.meta_title,
+  metaDescription: row.meta_description,
+  canonicalUrl: row.canonical_url || getBlogUrl(row),
+  version: row.version,
+  sections: sections.map((section) => ({
+    id: section.id,
+    heading: section.heading,
+    content: section.content,
+  })),
+});
+
+// Blogs with their sections, category and tags, in the order given
+const loadBlogs = async (conn, rows) => {
+  if (rows.length === 0) return [];
+
+  const blogIds = rows.map((row) => row.id);
+  const [sections] = await conn.query(
+    "SELECT id, blog_id, heading, content FROM blog_sections WHERE blog_id IN (?) ORDER BY id",
+    [blogIds]
+  );
+  const [tags] = await conn.query(
+    `SELECT t.id, t.name, t.slug, pt.blog_id FROM blog_post_tags pt
+    JOIN blog_tags t ON t.id = pt.tag_id
+    WHERE pt.blog_id IN (?)
+    ORDER BY t.name`,
+    [blogIds]
+  );
+  const categoryIds = rows.map((row) => row.category_id).filter(Boolean);
+  const [categories] = categoryIds.length
+    ? await conn.query(
+        "SELECT id, name, slug FROM blog_categories WHERE id IN (?)",
+        [categoryIds]
+      )
+    : [[]];
+
+  return rows.map((row) =>
+    formatBlog(
+      row,
+      sections.filter((section) => section.blog_id === row.id),
+      {
+        category: categories.find(
+          (category) => category.id === row.category_id
+        ),
+        tags: tags.filter((tag) => tag.blog_id === row.id),
+      }
+    )
+  );
+};
+
+// Blog readers don't need a token, but admins who can edit blogs may send
+// theirs to also see drafts and scheduled posts (sets req.user)
+const optionalBlogEditor = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+  if (token) {
+    try {
+      const admin = await authenticateAdmin(token);
+      if (admin && hasPermission(admin, "blogs.write")) req.user = admin;
+    } catch (err) {
+      console.error("Token check error:", err);
+    }
+  }
+  next();
+};
+
+// === ROUTES ===
+// For Location
+app.get("/get-location", async (req, res) => {
+  // 1. Get user location (cached; private addresses and failed lookups get
+  // the default country)
+  const { country, source } = await geoip.lookupCountry(req.ip);
+
+  // 2. Send country data
+  res.json({
+    country, // Send country code in response
+    source,
+  });
+});
+
+// 1. User Submission
+
+// Shared by /submit-user and the CSV import
+const userValidators = [
+  body("email").isEmail(),
+  body("phone").isLength({ min: 5 }),
+  body("name").notEmpty(),
+  body("planId").isInt({ min: 1 }).withMessage("Invalid plan"),
+  body("country").optional().isISO31661Alpha2(),
+  body("language")
+    .optional()
+    .isIn(mailer.SUPPORTED_LANGUAGES)
+    .withMessage("Unsupported language"),
+  body("couponCode").optional({ values: "falsy" }).isString().isLength({
+    max: 40,
+  }),
+  body("referralCode").optional({ values: "falsy" }).isString().isLength({
+    max: 20,
+  }),
+];
+
+// { field, message } when the email or phone is already registered
+const findDuplicateUser = async (conn, email, phone) => {
+  const [existingUsers] = await conn.query(
+    "SELECT email, phone FROM users WHERE email = ? OR phone = ?",
+    [email, phone]
+  );
+  if (existingUsers.length === 0) return null;
+
+  const existing = existingUsers[0];
+  if (existing.email === email && existing.phone === phone) {
+    return {
+      field: "both",
+      message: "Email and phone are already registered",
+    };
+  } else if (existing.email === email) {
+    return { field: "email", message: "Email already registered" };
+  } else if (existing.phone === phone) {
+    return { field: "phone", message: "Phone number already registered" };
+  }
+  return null;
+};
+
+// Insert a customer on a catalog plan with their first invoice, start the
+// trial if it is one and, unless `sendEmail` is false, notify them of the
+// purchase on their channels. The price is the plan's price for
+// `priceCountry`, less the coupon's discount if `couponCode` is given.
+// `referralCode` is the code of the customer who referred them. Returns the
+// invoice number and the price quoted, or { field, message } when the coupon
+// or referral code can't be used (nothing is written then).
+const createUser = async (
+  conn,
+  { name, email, phone, country, language },
+  selectedPlan,
+  {
+    sendEmail = true,
+    priceCountry = null,
+    couponCode = null,
+    referralCode = null,
+  } = {}
+) => {
+  const plan = selectedPlan.name;
+
+  let referrerId = null;
+  if (referralCode) {
+    const [referrers] = await conn.query(
+      "SELECT id FROM users WHERE referral_code = ? AND anonymized_at IS NULL",
+      [String(referralCode).trim().toUpperCase()]
+    );
+    if (referrers.length === 0) {
+      return { field: "referralCode", message: "Referral code is not valid" };
+    }
+    referrerId = referrers[0].id;
+  }
+
+  let quote = await getLocalizedPrice(conn, selectedPlan, priceCountry);
+  let discount = null;
+  if (couponCode) {
+    const coupon = await findCoupon(conn, couponCode, { lock: true });
+    const discounted = applyCoupon(coupon, selectedPlan, quote);
+    if (discounted.error) {
+      return { field: "couponCode", message: discounted.error };
+    }
+    ({ quote, discount } = discounted);
+    await conn.query(
+      "UPDATE coupons SET times_used = times_used + 1 WHERE id = ?",
+      [coupon.id]
+    );
+  }
+  const Price = quote.formatted;
+
+  // Set invoice status based on plan
+  const invoiceStatus = selectedPlan.is_trial ? "trial" : "pending";
+
+  // A trial's invoice falls due when the trial ends
+  const issuedAt = new Date();
+  const dueAt = getInvoiceDueDate(
+    selectedPlan.is_trial ? getPlanEndDate(issuedAt, selectedPlan) : null
+  );
+
+  const invoiceNumber = await nextInvoiceNumber(conn);
+
+  const [result] = await conn.query(
+    `INSERT INTO users (name, email, phone, plan, plan_id, Price, price_amount, price_currency,
+      price_country, coupon_code, discount_amount, invoice, invoice_status, invoice_issued_at,
+      invoice_due_at, country, language, referred_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      name,
+      email,
+      phone,
+      plan,
+      selectedPlan.id,
+      Price,
+      quote.amount,
+      quote.currency,
+      priceCountry ? priceCountry.toUpperCase() : null,
+      discount === null ? null : normalizeCouponCode(couponCode),
+      discount,
+      invoiceNumber,
+      invoiceStatus,
+      issuedAt,
+      dueAt,
+      country ? country.toUpperCase() : null,
+      language || null,
+      referrerId,
+    ]
+  );
+  const referral = await assignReferralCode(conn, result.insertId);
+
+  // Trials get their term straight away; paid plans wait for payment
+  if (selectedPlan.is_trial) {
+    await startTrial(conn, result.insertId, selectedPlan);
+  }
+
+  // Queue the purchase notification
+  if (sendEmail) {
+    await notifier.notify(conn, result.insertId, "purchase", {
+      vars: {
+        name,
+        invoice: invoiceNumber,
+        plan,
+        price: Price,
+        whatsappUrl: getWhatsappInvoiceUrl(invoiceNumber),
+      },
+      attachments: [await getInvoiceAttachment(conn, invoiceNumber)],
+    });
+  }
+
+  return {
+    userId: result.insertId,
+    invoice: invoiceNumber,
+    plan,
+    Price,
+    price: quote.amount,
+    currency: quote.currency,
+    discount,
+    referralCode: referral,
+  };
+};
+
+app.post("/submit-user", couponLimiter, userValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res
+      .status(400)
+      .json({ message: "Invalid data", errors: errors.array() });
+  }
+
+  const { email, name, phone, planId, country, language } = req.body;
+  const { couponCode, referralCode } = req.body;
+
+  let selectedPlan, duplicate;
+  try {
+    // Price and trial status come from the catalog, never from the client
+    const [plans] = await db.query(
+      "SELECT * FROM plans WHERE id = ? AND active = 1",
+      [planId]
+    );
+    selectedPlan = plans[0];
+
+    duplicate = await findDuplicateUser(db, email, phone);
+  } catch (err) {
+    return res.status(500).json({ message: "Database error" });
+  }
+
+  if (!selectedPlan || getPlanPriceError(selectedPlan)) {
+    return res
+      .status(400)
+      .json({ field: "planId", message: "Plan not available" });
+  }
+
+  if (duplicate) {
+    return res.status(400).json(duplicate);
+  }
+
+  // Price for the country the visitor is in, as /plans/prices showed it
+  const { country: priceCountry } = await geoip.lookupCountry(req.ip);
+
+  let created;
+  try {
+    created = await withTransaction((conn) =>
+      createUser(
+        conn,
+        { name, email, phone, country, language },
+        selectedPlan,
+        {
+          priceCountry,
+          couponCode,
+          referralCode,
+        }
+      )
+    );
+  } catch (err) {
+    console.error("Insert Error:", err);
+    return res.status(500).json({ message: "Insert failed" });
+  }
+
+  if (created.field) {
+    return res.status(400).json(created);
+  }
+
+  res.status(200).json({
+    invoice: created.invoice,
+    plan: created.plan,
+    Price: created.Price,
+    price: created.price,
+    currency: created.currency,
+    discount: created.discount,
+    referralCode: created.referralCode,
+    message: "Invoice generated and email queued",
+  });
+});
+
+// 2. Admin Login (short-lived JWT plus a refresh token returned). Admins with
+// 2FA get a challenge token instead, to finish at /admin-login/2fa.
+app.post(
+  "/admin-login",
+  [body("email").isEmail(), body("password").notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: "Email and password required" });
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+    const { password } = req.body;
+
+    try {
+      const retryAfter = await getLoginLockout(email, req.ip);
+      if (retryAfter) return sendLockedOut(res, retryAfter);
+
+      const [results] = await db.query("SELECT * FROM admin WHERE email = ?", [
+        email,
+      ]);
+      const admin = results[0];
+
+      // Same answer for unknown, disabled and wrong-password accounts
+      if (
+        !admin ||
+        !admin.active ||
+        !(await bcrypt.compare(password, admin.password))
+      ) {
+        await recordLoginAttempt(email, req.ip, false);
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+
+      if (admin.totp_enabled) {
+        const challengeToken = jwt.sign(
+          { sub: admin.id, email },
+          process.env.JWT_SECRET,
+          { audience: "admin-2fa", expiresIn: "5m" }
+        );
+        return res.status(200).json({
+          message: "Enter your authentication code",
+          twoFactorRequired: true,
+          challengeToken,
+        });
+      }
+
+      await recordLoginAttempt(email, req.ip, true);
+      const tokens = await issueAdminTokens(db, admin);
+
+      res.status(200).json({
+        message: "Login successful",
+        ...tokens, // Send tokens to the client
+        role: admin.role,
+      });
+    } catch (err) {
+      console.error("Admin login error:", err);
+      res.status(500).json({ error: "DB error" });
+    }
+  }
+);
+
+// Second login step: the challenge token from /admin-login plus a TOTP code
+// (or one of the recovery codes)
+app.post("/admin-login/2fa", async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let challenge;
+  try {
+    challenge = jwt.verify(challengeToken, process.env.JWT_SECRET, {
+      audience: "admin-2fa",
+    });
+  } catch (err) {
+    return res
+      .status(401)
+      .json({ error: "Login expired, sign in with your password again" });
+  }
+
+  try {
+    const retryAfter = await getLoginLockout(challenge.email, req.ip);
+    if (retryAfter) return sendLockedOut(res, retryAfter);
+
+    const result = await withTransaction(async (conn) => {
+      const [results] = await conn.query(
+        "SELECT * FROM admin WHERE id = ? FOR UPDATE",
+        [challenge.sub]
+      );
+      const admin = results[0];
+      if (!admin || !admin.active || !admin.totp_enabled) return null;
+
+      if (!(await verifySecondFactor(conn, admin, { code, recoveryCode }))) {
+        return null;
+      }
+
+      return {
+        ...(await issueAdminTokens(conn, admin)),
+        role: admin.role,
+      };
+    });
+
+    await recordLoginAttempt(challenge.email, req.ip, !!result);
+    if (!result) {
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    res.status(200).json({ message: "Login successful", ...result });
+  } catch (err) {
+    console.error("Admin 2FA login error:", err);
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Swap a refresh token for a new access token. Refresh tokens are single use:
+// each call revokes the one presented and returns a new one. Presenting an
+// already revoked token means it leaked, so all of the admin's sessions end.
+app.post("/admin/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return res.status(400).json({ error: "Refresh token required" });
+  }
+
+  try {
+    const result = await withTransaction(async (conn) => {
+      const [tokens] = await conn.query(
+        `SELECT t.id, t.admin_id, t.expires_at, t.revoked_at,
+          a.id AS adminId, a.email, a.role, a.active, a.token_version
+        FROM admin_refresh_tokens t
+        JOIN admin a ON a.id = t.admin_id
+        WHERE t.token_hash = ?
+        FOR UPDATE`,
+        [hashToken(refreshToken)]
+      );
+      const stored = tokens[0];
+      if (!stored) return null;
+
+      if (stored.revoked_at) {
+        await revokeAdminSessions(conn, stored.admin_id);
+        return null;
+      }
+      if (!stored.active || moment(stored.expires_at).isBefore(moment())) {
+        return null;
+      }
+
+      await conn.query(
+        "UPDATE admin_refresh_tokens SET revoked_at = NOW() WHERE id = ?",
+        [stored.id]
+      );
+      return issueAdminTokens(conn, {
+        id: stored.adminId,
+        email: stored.email,
+        role: stored.role,
+        token_version: stored.token_version,
+      });
+    });
+
+    if (!result) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Log out: revokes the access token used for this call and, if given, the
+// refresh token that belongs to the session
+app.post("/admin/logout", verifyToken, async (req, res) => {
+  try {
+    await db.query(
+      "INSERT IGNORE INTO admin_revoked_tokens (jti, expires_at) VALUES (?, FROM_UNIXTIME(?))",
+      [req.user.jti, req.user.exp]
+    );
+    if (typeof req.body.refreshToken === "string") {
+      await db.query(
+        `UPDATE admin_refresh_tokens SET revoked_at = NOW()
+        WHERE token_hash = ? AND admin_id = ? AND revoked_at IS NULL`,
+        [hashToken(req.body.refreshToken), req.user.id]
+      );
+    }
+  } catch (err) {
+    console.error("Logout error:", err);
+    return res.status(500).json({ error: "Logout failed" });
+  }
+
+  res.status(200).json({ message: "Logged out" });
+});
+
+// 3. Get Users (Protected route)
+
+// Sortable columns for the customer list. Every expression is non-null so it
+// can be used as a cursor; customers without a term sort after everyone else.
+const USER_SORT_COLUMNS = {
+  id: "u.id",
+  name: "u.name",
+  email: "u.email",
+  plan: "u.plan",
+  status: "u.invoice_status",
+  updatedAt: "u.updated_at",
+  endDate: "COALESCE(s.end_date, '9999-12-31')",
+};
+
+// WHERE clause for the customer list from query parameters:
+//   search     name, email, phone or invoice (current or any paid one)
+//   planId     catalog plan id; plan matches the plan name instead
+//   status     one or more invoice statuses, comma separated
+//   dueWithin  term ends within the next N days
+// Cancelled customers are left out unless ?includeCancelled=true or they are
+// asked for by status. Returns { error } for invalid parameters.
+const buildUserFilters = (query) => {
+  const conditions = [];
+  const values = [];
+
+  if (query.search) {
+    const like = `%${String(query.search).replace(/[\\%_]/g, "\\$&")}%`;
+    conditions.push(
+      `(u.name LIKE ? OR u.email LIKE ? OR u.phone LIKE ? OR u.invoice LIKE ?
+        OR EXISTS (SELECT 1 FROM payments p WHERE p.user_id = u.id AND p.invoice = ?))`
+    );
+    values.push(like, like, like, like, String(query.search));
+  }
+
+  if (query.planId !== undefined) {
+    if (!/^\d+$/.test(query.planId))
+      return { error: "planId must be a number" };
+    conditions.push("u.plan_id = ?");
+    values.push(query.planId);
+  } else if (query.plan) {
+    conditions.push("u.plan = ?");
+    values.push(String(query.plan));
+  }
+
+  if (query.status) {
+    const statuses = String(query.status).split(",");
+    if (!statuses.every((status) => INVOICE_STATUSES.includes(status))) {
+      return { error: `status must be one of ${INVOICE_STATUSES.join(", ")}` };
+    }
+    conditions.push("u.invoice_status IN (?)");
+    values.push(statuses);
+  } else if (query.includeCancelled !== "true") {
+    conditions.push("u.invoice_status <> 'cancelled'");
+  }
+
+  if (query.dueWithin !== undefined) {
+    if (!/^\d+$/.test(query.dueWithin)) {
+      return { error: "dueWithin must be a number of days" };
+    }
+    conditions.push(
+      "s.end_date >= CURDATE() AND s.end_date < CURDATE() + INTERVAL ? DAY"
+    );
+    values.push(parseInt(query.dueWithin) + 1);
+  }
+
+  return { conditions, values };
+};
+
+// ?sort=endDate or ?sort=-endDate (descending); ties are broken by id
+const parseUserSort = (sort = "id") => {
+  const descending = sort.startsWith("-");
+  const column = USER_SORT_COLUMNS[descending ? sort.slice(1) : sort];
+  if (!column) {
+    return {
+      error: `sort must be one of ${Object.keys(USER_SORT_COLUMNS).join(", ")}`,
+    };
+  }
+  return { column, descending };
+};
+
+const USER_LIST_COLUMNS = `
+  u.id, u.name, u.email, u.plan, u.plan_id, u.invoice, u.invoice_status, u.phone,
+  u.updated_at, u.cancelled_at, u.cancellation_reason, s.end_date,
+  DATEDIFF(s.end_date, CURDATE()) AS days_remaining`;
+
+// Customer list. Paginate with ?page=&pageSize= (max 200), or pass the
+// returned nextCursor as ?cursor= to walk a list that changes while you read
+// it. Filters are described at buildUserFilters, sorting at parseUserSort.
+app.get("/get-users", requirePermission("customers.read"), async (req, res) => {
+  const filters = buildUserFilters(req.query);
+  const sort = parseUserSort(req.query.sort);
+  if (filters.error || sort.error) {
+    return res.status(400).json({ error: filters.error || sort.error });
+  }
+
+  const pageSize = Math.min(
+    Math.max(parseInt(req.query.pageSize) || 50, 1),
+    200
+  );
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const direction = sort.descending ? "DESC" : "ASC";
+
+  const conditions = [...filters.conditions];
+  const values = [...filters.values];
+  const where = () =>
+    conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  try {
+    const [[{ total }]] = await db.query(
+      `SELECT COUNT(*) AS total
+      FROM users u
+      LEFT JOIN subscriptions s ON s.user_id = u.id
+      ${where()}`,
+      values
+    );
+
+    // Cursor: the sort value and id of the last row already returned
+    let cursor = null;
+    if (req.query.cursor) {
+      try {
+        cursor = JSON.parse(
+          Buffer.from(String(req.query.cursor), "base64url").toString("utf8")
+        );
+      } catch (err) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      if (!cursor || cursor.id === undefined || cursor.value === undefined) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+
+      const after = sort.descending ? "<" : ">";
+      conditions.push(
+        `(${sort.column} ${after} ? OR (${sort.column} = ? AND u.id ${after} ?))`
+      );
+      values.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    const [rows] = await db.query(
+      `SELECT ${USER_LIST_COLUMNS}, CAST(${sort.column} AS CHAR) AS sort_value
+      FROM users u
+      LEFT JOIN subscriptions s ON s.user_id = u.id
+      ${where()}
+      ORDER BY ${sort.column} ${direction}, u.id ${direction}
+      LIMIT ? OFFSET ?`,
+      [...values, pageSize + 1, cursor ? 0 : (page - 1) * pageSize]
+    );
+
+    const hasMore = rows.length > pageSize;
+    const users = rows.slice(0, pageSize);
+    const last = users[users.length - 1];
+    const nextCursor =
+      hasMore && last
+        ? Buffer.from(
+            JSON.stringify({ value: last.sort_value, id: last.id })
+          ).toString("base64url")
+        : null;
+
+    res.status(200).json({
+      users: users.map(({ sort_value, ...user }) => user),
+      total,
+      page: cursor ? null : page,
+      pageSize,
+      nextCursor,
+    });
+  } catch (err) {
+    console.error("User list error:", err);
+    res.status(500).json({ error: "Query error" });
+  }
+});
+
+// Columns in the customer CSV export
+const USER_EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "email",
+  "phone",
+  "plan",
+  "plan_id",
+  "Price",
+  "invoice",
+  "invoice_status",
+  "country",
+  "language",
+  "end_date",
+  "days_remaining",
+  "cancelled_at",
+  "cancellation_reason",
+];
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const escapeCsvFormula = (value) =>
+  typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+// Customer list as CSV (Protected route). Takes the same filters and sort as
+// /get-users and streams every matching row.
+app.get("/users/export", requirePermission("customers.read"), (req, res) => {
+  const filters = buildUserFilters(req.query);
+  const sort = parseUserSort(req.query.sort);
+  if (filters.error || sort.error) {
+    return res.status(400).json({ error: filters.error || sort.error });
+  }
+
+  const where = filters.conditions.length
+    ? `WHERE ${filters.conditions.join(" AND ")}`
+    : "";
+  const direction = sort.descending ? "DESC" : "ASC";
+
+  const csv = stringifyCsv({
+    header: true,
+    columns: USER_EXPORT_COLUMNS,
+    cast: {
+      date: (value) => moment(value).format("YYYY-MM-DD HH:mm:ss"),
+    },
+  });
+
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="customers-${moment().format(
+      "YYYY-MM-DD"
+    )}.csv"`,
+  });
+
+  const rows = connection
+    .query(
+      `SELECT ${USER_LIST_COLUMNS}, u.Price, u.country, u.language
+      FROM users u
+      LEFT JOIN subscriptions s ON s.user_id = u.id
+      ${where}
+      ORDER BY ${sort.column} ${direction}, u.id ${direction}`,
+      filters.values
+    )
+    .stream();
+
+  rows.on("error", (err) => {
+    console.error("User export error:", err);
+    // Headers are gone once rows have been sent, so cut the download short
+    if (!res.headersSent) res.status(500).json({ error: "Export failed" });
+    else res.destroy(err);
+  });
+
+  rows
+    .on("data", (row) => {
+      const escaped = {};
+      for (const column of USER_EXPORT_COLUMNS) {
+        escaped[column] = escapeCsvFormula(row[column]);
+      }
+      if (!csv.write(escaped)) {
+        rows.pause();
+        csv.once("drain", () => rows.resume());
+      }
+    })
+    .on("end", () => csv.end());
+
+  csv.pipe(res);
+});
+
+// CSV uploads are kept in memory; 5 MB is well over 20,000 customers
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      /\.csv$/i.test(file.originalname) ||
+      ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype);
+    cb(isCsv ? null : new Error("Only CSV files are allowed"), isCsv);
+  },
+});
+
+// Import customers from a CSV upload (field "file", Protected route). Columns:
+// name, email, phone, planId or plan (plan name), and optional country and
+// language. Each row is checked like /submit-user; duplicates of existing
+// customers or of earlier rows are skipped. ?dryRun=true only reports what
+// would happen; ?sendEmails=true sends new customers the purchase notification.
+app.post(
+  "/users/import",
+  requirePermission("customers.write"),
+  (req, res, next) => {
+    csvUpload.single("file")(req, res, (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+      next();
+    });
+  },
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: "CSV file required" });
+    }
+
+    const dryRun = req.query.dryRun === "true";
+    const sendEmail = req.query.sendEmails === "true";
+
+    let records;
+    try {
+      records = await new Promise((resolve, reject) =>
+        parseCsv(
+          req.file.buffer,
+          {
+            columns: (header) => header.map((column) => column.trim()),
+            skip_empty_lines: true,
+            trim: true,
+            bom: true,
+          },
+          (err, output) => (err ? reject(err) : resolve(output))
+        )
+      );
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid CSV: ${err.message}` });
+    }
+
+    const report = { dryRun, inserted: [], skipped: [], invalid: [] };
+
+    try {
+      const [plans] = await db.query("SELECT * FROM plans WHERE active = 1");
+      const seenEmails = new Set();
+      const seenPhones = new Set();
+
+      for (const [index, record] of records.entries()) {
+        const line = index + 2; // header is line 1
+
+        // Plans can be given by name, as they appear in spreadsheets
+        const row = { ...record };
+        if (!row.planId && row.plan) {
+          const match = plans.find(
+            (plan) => plan.name.toLowerCase() === row.plan.toLowerCase()
+          );
+          if (match) row.planId = String(match.id);
+        }
+        for (const optional of ["country", "language"]) {
+          if (row[optional] === "") delete row[optional];
+        }
+
+        const rowReq = { body: row };
+        for (const validator of userValidators) await validator.run(rowReq);
+        const errors = validationResult(rowReq);
+        if (!errors.isEmpty()) {
+          report.invalid.push({ line, errors: errors.array() });
+          continue;
+        }
+
+        const selectedPlan = plans.find(
+          (plan) => plan.id === Number(row.planId)
+        );
+        if (!selectedPlan || getPlanPriceError(selectedPlan)) {
+          report.invalid.push({
+            line,
+            errors: [{ path: "planId", msg: "Plan not available" }],
+          });
+          continue;
+        }
+
+        const { email, phone } = row;
+        const duplicate =
+          (seenEmails.has(email) || seenPhones.has(phone)
+            ? { field: "file", message: "Duplicate of an earlier row" }
+            : null) || (await findDuplicateUser(db, email, phone));
+        seenEmails.add(email);
+        seenPhones.add(phone);
+        if (duplicate) {
+          report.skipped.push({ line, email, ...duplicate });
+          continue;
+        }
+
+        if (dryRun) {
+          report.inserted.push({ line, email });
+          continue;
+        }
+
+        const created = await withTransaction(async (conn) => {
+          const user = await createUser(conn, row, selectedPlan, {
+            sendEmail,
+            priceCountry: row.country || null,
+          });
+          await recordAudit(conn, req, {
+            action: "user.import",
+            targetType: "user",
+            targetId: user.userId,
+            after: { email, plan: user.plan, invoice: user.invoice },
+          });
+          return user;
+        });
+        report.inserted.push({ line, email, invoice: created.invoice });
+      }
+    } catch (err) {
+      console.error("User import error:", err);
+      return res.status(500).json({
+        error: "Import stopped by a database error",
+        ...report,
+      });
+    }
+
+    res.status(200).json({
+      ...report,
+      counts: {
+        inserted: report.inserted.length,
+        skipped: report.skipped.length,
+        invalid: report.invalid.length,
+      },
+    });
+  }
+);
+
+// 4. Update Status (Protected route)
+app.put(
+  "/update-status/:id",
+  requirePermission("customers.write"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: "Invoice status required" });
+    }
+
+    if (!INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Unknown invoice status",
+        allowed: INVOICE_STATUSES,
+      });
+    }
+
+    let user, term;
+    try {
+      // Status change, ledger entry and email are committed together
+      const outcome = await withTransaction(async (conn) => {
+        // Step 1: Get user details from the database
+        const [results] = await conn.query(
+          `SELECT u.id, u.name, u.plan, u.plan_id, u.email, u.invoice, u.invoice_status,
+          u.invoice_issued_at, u.invoice_due_at, u.language, u.country,
+          p.duration_value, p.duration_unit,
+          COALESCE(u.price_amount, p.price) AS price,
+          COALESCE(u.price_currency, p.currency) AS currency,
+          u.coupon_code, u.discount_amount
+        FROM users u
+        LEFT JOIN plans p ON p.id = u.plan_id
+        WHERE u.id = ?
+        FOR UPDATE`,
+          [id]
+        );
+        if (results.length === 0) return "not-found";
+
+        user = results[0]; // user details: name, plan, email, plan duration and price
+        if (!canTransition(user.invoice_status, status)) return "illegal";
+        if (status === "paid" && !user.duration_unit) return "no-plan";
+
+        // Step 2: Update the invoice status in the database
+        const reason = req.body.reason || null;
+        await setInvoiceStatus(conn, id, status, reason);
+        await recordAudit(conn, req, {
+          action: "user.status",
+          targetType: "user",
+          targetId: id,
+          before: { invoice_status: user.invoice_status },
+          after:
+            status === "cancelled"
+              ? { invoice_status: status, cancellation_reason: reason }
+              : { invoice_status: status },
+        });
+
+        // Step 3: Record the payment, extend the subscription term and queue
+        // the confirmation email
+        if (status === "paid") {
+          await startRenewalInvoice(conn, user);
+          term = await recordPayment(conn, user, { source: "manual" });
+          await queuePaymentConfirmation(conn, user, term);
+        }
+        return "updated";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (outcome === "illegal") {
+        return res.status(409).json({
+          error: `Cannot change invoice status from "${user.invoice_status}" to "${status}"`,
+          allowed: INVOICE_TRANSITIONS[user.invoice_status] || [],
+        });
+      }
+      if (outcome === "no-plan") {
+        return res
+          .status(400)
+          .json({ error: "Customer has no catalog plan, assign one first" });
+      }
+    } catch (err) {
+      console.error("Status update error:", err);
+      return res.status(500).json({ error: "Update failed" });
+    }
+
+    res.status(200).json({
+      message: term ? "Status updated and email queued" : "Status updated",
+    });
+  }
+);
+
+// 5. Cancel User Route (marks the customer cancelled and sends the cancellation
+// email; the record is kept until the retention purge)
+app.delete(
+  "/delete-user/:id",
+  requirePermission("customers.write"),
+  async (req, res) => {
+    const userId = req.params.id;
+    const reason = req.body?.reason || null;
+
+    let user;
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        // Step 1: Get user details to send the cancellation email
+        const [results] = await conn.query(
+          "SELECT name, plan, email, language, country, invoice_status FROM users WHERE id = ? FOR UPDATE",
+          [userId]
+        );
+        if (results.length === 0) return "not-found";
+
+        user = results[0]; // user details: name, plan, email
+        if (!canTransition(user.invoice_status, "cancelled")) return "illegal";
+
+        // Step 2: Mark the user as cancelled
+        await setInvoiceStatus(conn, userId, "cancelled", reason);
+        await recordAudit(conn, req, {
+          action: "user.cancel",
+          targetType: "user",
+          targetId: userId,
+          before: { invoice_status: user.invoice_status },
+          after: { invoice_status: "cancelled", cancellation_reason: reason },
+        });
+
+        // Step 3: Queue cancellation notification
+        await notifier.notify(conn, userId, "cancellation", {
+          vars: { name: user.name },
+        });
+        return "cancelled";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (outcome === "illegal") {
+        return res.status(409).json({ error: "User is already cancelled" });
+      }
+    } catch (err) {
+      console.error("Cancel user error:", err);
+      return res.status(500).json({ message: "Cancellation failed" });
+    }
+
+    res
+      .status(200)
+      .json({ message: "User cancelled and cancellation email queued" });
+  }
+);
+
+// Reactivate a cancelled customer (Protected route). A customer whose paid
+// term is still running goes straight back to 'paid'; anyone else gets a new
+// pending invoice for their plan.
+app.post(
+  "/users/:id/reactivate",
+  requirePermission("customers.write"),
+  async (req, res) => {
+    const userId = req.params.id;
+
+    let user, status, invoice;
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [results] = await conn.query(
+          `SELECT u.id, u.name, u.email, u.plan, u.Price, u.language, u.country, u.invoice,
+          u.invoice_status, s.end_date
+        FROM users u
+        LEFT JOIN subscriptions s ON s.user_id = u.id
+        WHERE u.id = ?
+        FOR UPDATE`,
+          [userId]
+        );
+        if (results.length === 0) return "not-found";
+
+        user = results[0];
+        if (user.invoice_status !== "cancelled") return "not-cancelled";
+
+        const [runningTerms] = await conn.query(
+          "SELECT id FROM payments WHERE user_id = ? AND period_end > NOW() LIMIT 1",
+          [userId]
+        );
+
+        const audit = (after) =>
+          recordAudit(conn, req, {
+            action: "user.reactivate",
+            targetType: "user",
+            targetId: userId,
+            before: { invoice_status: "cancelled", invoice: user.invoice },
+            after,
+          });
+
+        if (runningTerms.length > 0) {
+          status = "paid";
+          invoice = user.invoice;
+          await setInvoiceStatus(conn, userId, status);
+          await audit({ invoice_status: status, invoice });
+          return "reactivated";
+        }
+
+        status = "pending";
+        invoice = await nextInvoiceNumber(conn);
+        await setInvoiceStatus(conn, userId, status);
+        await conn.query(
+          "UPDATE users SET invoice = ?, invoice_issued_at = NOW(), invoice_due_at = ? WHERE id = ?",
+          [invoice, getInvoiceDueDate(user.end_date), userId]
+        );
+        await audit({ invoice_status: status, invoice });
+
+        await notifier.notify(conn, userId, "renewal-invoice", {
+          vars: {
+            name: user.name,
+            invoice,
+            plan: user.plan,
+            price: user.Price,
+            whatsappUrl: getWhatsappInvoiceUrl(invoice),
+          },
+          attachments: [await getInvoiceAttachment(conn, invoice)],
+        });
+        return "reactivated";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (outcome === "not-cancelled") {
+        return res.status(409).json({ error: "User is not cancelled" });
+      }
+    } catch (err) {
+      console.error("Reactivate user error:", err);
+      return res.status(500).json({ error: "Reactivation failed" });
+    }
+
+    res.status(200).json({
+      message: "User reactivated",
+      status,
+      invoice,
+    });
+  }
+);
+
+// Conditions shared by the blog list and search. Readers only get published
+// posts; blog editors get every post and can narrow them with ?status=.
+// ?category= takes a category slug, ?tag= one or more comma-separated tag
+// slugs (posts with any of them). Returns { conditions, values } or { error }.
+const buildBlogFilters = (req) => {
+  const conditions = [];
+  const values = [];
+  if (!req.user) {
+    conditions.push("b.status = 'published'");
+  } else if (req.query.status) {
+    if (!BLOG_STATUSES.includes(req.query.status)) {
+      return { error: `Status must be one of ${BLOG_STATUSES.join(", ")}` };
+    }
+    conditions.push("b.status = ?");
+    values.push(req.query.status);
+  }
+
+  if (req.query.category) {
+    conditions.push(
+      "b.category_id = (SELECT id FROM blog_categories WHERE slug = ?)"
+    );
+    values.push(String(req.query.category));
+  }
+
+  if (req.query.tag) {
+    const tags = String(req.query.tag)
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+    if (tags.length > 0) {
+      conditions.push(
+        `EXISTS (SELECT 1 FROM blog_post_tags pt
+        JOIN blog_tags t ON t.id = pt.tag_id
+        WHERE pt.blog_id = b.id AND t.slug IN (?))`
+      );
+      values.push(tags);
+    }
+  }
+
+  return { conditions, values };
+};
+
+const getBlogPage = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  pageSize: Math.min(Math.max(parseInt(query.pageSize) || 10, 1), 50),
+});
+
+// 6. Get blogs, newest first. ?page= and ?pageSize= (max 50) paginate;
+// see buildBlogFilters for ?status=, ?category= and ?tag=.
+app.get("/blogs", optionalBlogEditor, async (req, res) => {
+  const filters = buildBlogFilters(req);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const { conditions, values } = filters;
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const { page, pageSize } = getBlogPage(req.query);
+
+  try {
+    const [[{ total }]] = await db.query(
+      `SELECT COUNT(*) AS total FROM blogs b ${where}`,
+      values
+    );
+    // Drafts have no date yet and come first for editors
+    const [rows] = await db.query(
+      `SELECT b.* FROM blogs b
+      ${where}
+      ORDER BY COALESCE(b.published_at, b.scheduled_at, '9999-12-31') DESC, b.id DESC
+      LIMIT ? OFFSET ?`,
+      [...values, pageSize, (page - 1) * pageSize]
+    );
+
+    res.status(200).json({
+      blogs: await loadBlogs(db, rows),
+      page,
+      pageSize,
+      total,
+    });
+  } catch (err) {
+    console.error("Blog fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch blogs" });
+  }
+});
+
+const SNIPPET_LENGTH = 160;
+
+// Words of a search query, e.g. "Fire TV Stick!" -> ["fire", "tv", "stick"].
+// Single characters are left out, as the full-text index ignores them.
+const getSearchTerms = (query) => {
+  const words =
+    String(query)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter((word) => word.length > 1))];
+};
+
+// Matches words starting with one of the terms ("fire" finds "Firestick")
+const getTermPattern = (terms, flags) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])(${terms.join("|")})`, flags);
+
+const stripHtml = (text) =>
+  String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// HTML-escaped text with every search term wrapped in <mark>
+const highlightTerms = (text, terms) => {
+  if (terms.length === 0) return mailer.escapeHtml(text);
+  const pattern = getTermPattern(terms, "giu");
+  return text
+    .split(pattern)
+    .map((part, i) =>
+      i % 2 === 1
+        ? `<mark>${mailer.escapeHtml(part)}</mark>`
+        : mailer.escapeHtml(part)
+    )
+    .join("");
+};
+
+// About SNIPPET_LENGTH characters around the first term found in the intro
+// or sections, highlighted. Falls back to the start of the intro.
+const getSearchSnippet = (blog, terms) => {
+  const texts = [
+    blog.intro,
+    ...blog.sections.map((section) => `${section.heading} ${section.content}`),
+  ].map(stripHtml);
+  const pattern = getTermPattern(terms, "iu");
+
+  let text = texts[0];
+  let index = 0;
+  for (const candidate of texts) {
+    const match = terms.length ? pattern.exec(candidate) : null;
+    if (match) {
+      text = candidate;
+      index = match.index;
+      break;
+    }
+  }
+
+  let start = Math.max(index - SNIPPET_LENGTH / 4, 0);
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  let end = Math.min(start + SNIPPET_LENGTH, text.length);
+  const lastSpace = text.lastIndexOf(" ", end);
+  if (end < text.length && lastSpace > start) end = lastSpace;
+
+  const snippet = text.slice(start, end).trim();
+  return `${start > 0 ? "…" : ""}${highlightTerms(snippet, terms)}${
+    end < text.length ? "…" : ""
+  }`;
+};
+
+// Full-text search over titles, intros and section content, best matches
+// first. Title and intro matches weigh double. Takes the same filters and
+// paging as GET /blogs; each result carries a relevance score and
+// highlighted title and snippet instead of its sections.
+app.get("/blogs/search", optionalBlogEditor, async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (q.length < 2 || q.length > 200) {
+    return res
+      .status(400)
+      .json({ error: "Search query must be 2 to 200 characters" });
+  }
+
+  const filters = buildBlogFilters(req);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const { page, pageSize } = getBlogPage(req.query);
+
+  const from = `FROM blogs b
+    LEFT JOIN (
+      SELECT blog_id, SUM(MATCH(heading, content) AGAINST (? IN NATURAL LANGUAGE MODE)) AS score
+      FROM blog_sections
+      WHERE MATCH(heading, content) AGAINST (? IN NATURAL LANGUAGE MODE)
+      GROUP BY blog_id
+    ) s ON s.blog_id = b.id
+    WHERE (MATCH(b.title, b.intro) AGAINST (? IN NATURAL LANGUAGE MODE) OR s.blog_id IS NOT NULL)
+    ${filters.conditions.map((condition) => `AND ${condition}`).join(" ")}`;
+  const values = [q, q, q, ...filters.values];
+
+  try {
+    const [[{ total }]] = await db.query(
+      `SELECT COUNT(*) AS total ${from}`,
+      values
+    );
+    const [rows] = await db.query(
+      `SELECT b.*,
+        MATCH(b.title, b.intro) AGAINST (? IN NATURAL LANGUAGE MODE) * 2 + COALESCE(s.score, 0) AS relevance
+      ${from}
+      ORDER BY relevance DESC, b.published_at DESC, b.id DESC
+      LIMIT ? OFFSET ?`,
+      [q, ...values, pageSize, (page - 1) * pageSize]
+    );
+
+    const terms = getSearchTerms(q);
+    const blogs = await loadBlogs(db, rows);
+    res.status(200).json({
+      results: blogs.map(({ sections, ...blog }, i) => ({
+        ...blog,
+        relevance: Math.round(rows[i].relevance * 10000) / 10000,
+        highlight: {
+          title: highlightTerms(blog.title, terms),
+          snippet: getSearchSnippet({ ...blog, sections }, terms),
+        },
+      })),
+      page,
+      pageSize,
+      total,
+    });
+  } catch (err) {
+    console.error("Blog search error:", err);
+    res.status(500).json({ error: "Failed to search blogs" });
+  }
+});
+
+// Get one blog by its slug (published only, except for blog editors)
+app.get("/blogs/:slug", optionalBlogEditor, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT * FROM blogs WHERE slug = ? ${
+        req.user ? "" : "AND status = 'published'"
+      }`,
+      [req.params.slug]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Blog not found" });
+    }
+
+    const [blog] = await loadBlogs(db, rows);
+    // Editors send this back in If-Match when saving
+    if (req.user) res.set("ETag", `"${blog.version}"`);
+    res.status(200).json({ blog });
+  } catch (err) {
+    console.error("Blog fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch blog" });
+  }
+});
+
+// Delete blog
+app.delete(
+  "/delete-blog/:id",
+  requirePermission("blogs.write"),
+  async (req, res) => {
+    const blogId = req.params.id;
+
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const before = await getBlogSnapshot(conn, blogId);
+        if (!before) return "not-found";
+
+        // Delete related sections first, then the blog itself
+        await conn.query("DELETE FROM blog_sections WHERE blog_id = ?", [
+          blogId,
+        ]);
+        await conn.query("DELETE FROM blogs WHERE id = ?", [blogId]);
+
+        await recordAudit(conn, req, {
+          action: "blog.delete",
+          targetType: "blog",
+          targetId: blogId,
+          before,
+        });
+        return "deleted";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Blog not found" });
+      }
+    } catch (err) {
+      console.error("Blog delete error:", err);
+      return res.status(500).json({ error: "Failed to delete blog" });
+    }
+
+    invalidateFeeds();
+    res.status(200).json({
+      message: "Blog and related sections deleted successfully",
+    });
+  }
+);
+
+// 409 for a save based on an outdated version. The current state comes back
+// so the editor can merge their changes into it.
+const sendBlogConflict = (res, current) =>
+  res.status(409).json({
+    error: "This blog was changed by someone else since you loaded it",
+    version: current.version,
+    current,
+  });
+
+// 428 for a save that doesn't say which version it was based on, so old
+// clients can't silently overwrite newer changes
+const sendBlogVersionRequired = (res) =>
+  res.status(428).json({
+    error: "Send the version you loaded (version field or If-Match header)",
+  });
+
+// Update blog. Requires the version you loaded (body `version` or If-Match);
+// a 409 comes back instead of overwriting someone else's changes.
+app.put(
+  "/update-blog/:id",
+  requirePermission("blogs.write"),
+  async (req, res) => {
+    const blogId = req.params.id;
+    const { sections } = req.body;
+
+    if (!Array.isArray(sections)) {
+      return res.status(400).json({ error: "Sections are required" });
+    }
+
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion === undefined) return sendBlogVersionRequired(res);
+    let invalid, conflict, after;
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const current = await lockBlogVersion(conn, blogId, expectedVersion);
+        if (current === "not-found") return "not-found";
+        if (current === "conflict") {
+          conflict = await getBlogSnapshot(conn, blogId);
+          return "conflict";
+        }
+        const before = await getBlogSnapshot(conn, blogId);
+
+        const fields = await getBlogFields(conn, req.body, before);
+        if (fields.error) {
+          invalid = fields;
+          return "invalid";
+        }
+        const tags = await getBlogTags(conn, req.body);
+        if (tags.error) {
+          invalid = tags;
+          return "invalid";
+        }
+
+        // Sections with an id must be this blog's own
+        const ownIds = new Set(before.sections.map((section) => section.id));
+        const foreign = sections.find((s) => s.id && !ownIds.has(Number(s.id)));
+        if (foreign) {
+          invalid = {
+            error: `Section ${foreign.id} does not belong to this blog`,
+            status: 400,
+          };
+          return "invalid";
+        }
+
+        // Step 1: Update blog info
+        await conn.query(
+          "UPDATE blogs SET ?, version = version + 1 WHERE id = ?",
+          [fields.values, blogId]
+        );
+
+        // Step 2: Delete removed sections
+        const sectionIds = sections.filter((s) => s.id).map((s) => s.id);
+        if (sectionIds.length) {
+          await conn.query(
+            "DELETE FROM blog_sections WHERE blog_id = ? AND id NOT IN (?)",
+            [blogId, sectionIds]
+          );
+        } else {
+          await conn.query("DELETE FROM blog_sections WHERE blog_id = ?", [
+            blogId,
+          ]);
+        }
+
+        // Step 3: Split into new vs existing sections
+        const newSections = sections.filter((s) => !s.id);
+        const existingSections = sections.filter((s) => s.id);
+
+        // Step 4: Insert new sections
+        if (newSections.length > 0) {
+          await conn.query(
+            "INSERT INTO blog_sections (blog_id, heading, content) VALUES ?",
+            [newSections.map((s) => [blogId, s.heading, s.content])]
+          );
+        }
+
+        // Step 5: Upsert existing sections
+        if (existingSections.length > 0) {
+          await conn.query(
+            `INSERT INTO blog_sections (blog_id, heading, content, id)
+          VALUES ?
+          ON DUPLICATE KEY UPDATE heading = VALUES(heading), content = VALUES(content)`,
+            [existingSections.map((s) => [blogId, s.heading, s.content, s.id])]
+          );
+        }
+
+        if (tags.tagIds) await setBlogTags(conn, blogId, tags.tagIds);
+
+        after = await saveBlogRevision(conn, req, blogId, "update");
+        await recordAudit(conn, req, {
+          action: "blog.update",
+          targetType: "blog",
+          targetId: blogId,
+          before,
+          after,
+        });
+        return "updated";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Blog not found" });
+      }
+      if (outcome === "conflict") {
+        return sendBlogConflict(res, conflict);
+      }
+      if (outcome === "invalid") {
+        return res.status(invalid.status).json({ error: invalid.error });
+      }
+    } catch (err) {
+      console.error("Blog update error:", err);
+      return res.status(500).json({ error: "Failed to update blog" });
+    }
+
+    invalidateFeeds();
+    res.set("ETag", `"${after.version}"`);
+    res.status(200).json({
+      message: "Blog and sections updated successfully",
+      version: after.version,
+    });
+  }
+);
+
+// Add new blog
+app.post("/add-blog", requirePermission("blogs.write"), async (req, res) => {
+  const { title, sections } = req.body;
+
+  if (!title || !sections || !Array.isArray(sections)) {
+    return res.status(400).json({ error: "Title and sections are required" });
+  }
+
+  if (sections.length === 0) {
+    return res.status(400).json({ error: "At least one section is required" });
+  }
+
+  let blogId, slug, invalid;
+  try {
+    const outcome = await withTransaction(async (conn) => {
+      // Step 1: Check if blog with same title exists
+      const [existing] = await conn.query(
+        "SELECT id FROM blogs WHERE title = ?",
+        [title]
+      );
+      if (existing.length > 0) return "duplicate";
+
+      const fields = await getBlogFields(conn, req.body);
+      if (fields.error) {
+        invalid = fields;
+        return "invalid";
+      }
+      const tags = await getBlogTags(conn, req.body);
+      if (tags.error) {
+        invalid = tags;
+        return "invalid";
+      }
+      slug = fields.values.slug;
+
+      // Step 2: Insert the blog
+      const [result] = await conn.query("INSERT INTO blogs SET ?", [
+        fields.values,
+      ]);
+      blogId = result.insertId;
+
+      // Step 3: Insert blog sections
+      const sectionValues = sections.map((section) => [
+        blogId,
+        section.heading,
+        section.content,
+      ]);
+      await conn.query(
+        "INSERT INTO blog_sections (blog_id, heading, content) VALUES ?",
+        [sectionValues]
+      );
+
+      if (tags.tagIds) await setBlogTags(conn, blogId, tags.tagIds);
+
+      await recordAudit(conn, req, {
+        action: "blog.create",
+        targetType: "blog",
+        targetId: blogId,
+        after: await saveBlogRevision(conn, req, blogId, "create"),
+      });
+      return "created";
+    });
+
+    if (outcome === "duplicate") {
+      return res
+        .status(409)
+        .json({ error: "Blog with this title already exists" });
+    }
+    if (outcome === "invalid") {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+  } catch (err) {
+    console.error("Blog insert error:", err);
+    return res.status(500).json({ error: "Failed to insert blog" });
+  }
+
+  invalidateFeeds();
+  res.status(200).json({
+    message: "Blog and sections added successfully",
+    blogId: blogId,
+    slug,
+    version: 1,
+  });
+});
+
+// Revision history of a blog, newest first (?page=, ?pageSize= max 50)
+app.get(
+  "/blogs/:id/revisions",
+  requirePermission("blogs.write"),
+  async (req, res) => {
+    const { page, pageSize } = getBlogPage(req.query);
+
+    try {
+      const [[{ total }]] = await db.query(
+        "SELECT COUNT(*) AS total FROM blog_revisions WHERE blog_id = ?",
+        [req.params.id]
+      );
+      const [revisions] = await db.query(
+        `SELECT r.version, r.action, r.created_at, r.admin_id, a.email AS admin_email,
+          r.snapshot->>'$.title' AS title
+        FROM blog_revisions r
+        LEFT JOIN admin a ON a.id = r.admin_id
+        WHERE r.blog_id = ?
+        ORDER BY r.version DESC
+        LIMIT ? OFFSET ?`,
+        [req.params.id, pageSize, (page - 1) * pageSize]
+      );
+
+      res.status(200).json({ revisions, page, pageSize, total });
+    } catch (err) {
+      console.error("Blog revisions fetch error:", err);
+      res.status(500).json({ error: "Failed to fetch revisions" });
+    }
+  }
+);
+
+// One revision with its full snapshot
+app.get(
+  "/blogs/:id/revisions/:version",
+  requirePermission("blogs.write"),
+  async (req, res) => {
+    try {
+      const [revisions] = await db.query(
+        `SELECT r.version, r.action, r.created_at, r.admin_id, a.email AS admin_email,
+          r.snapshot
+        FROM blog_revisions r
+        LEFT JOIN admin a ON a.id = r.admin_id
+        WHERE r.blog_id = ? AND r.version = ?`,
+        [req.params.id, req.params.version]
+      );
+      if (revisions.length === 0) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+      res.status(200).json({ revision: revisions[0] });
+    } catch (err) {
+      console.error("Blog revision fetch error:", err);
+      res.status(500).json({ error: "Failed to fetch revision" });
+    }
+  }
+);
+
+// Roll a blog back to a revision. The content (title, intro, cover, category,
+// SEO fields, sections and tags) is saved as a new version; slug and
+// publishing state are left alone. Requires the same version as /update-blog.
+app.post(
+  "/blogs/:id/revisions/:version/restore",
+  requirePermission("blogs.write"),
+  async (req, res) => {
+    const blogId = req.params.id;
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion === undefined) return sendBlogVersionRequired(res);
+    let conflict, after;
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const current = await lockBlogVersion(conn, blogId, expectedVersion);
+        if (current === "not-found") return "not-found";
+        if (current === "conflict") {
+          conflict = await getBlogSnapshot(conn, blogId);
+          return "conflict";
+        }
+
+        const [revisions] = await conn.query(
+          "SELECT snapshot FROM blog_revisions WHERE blog_id = ? AND version = ?",
+          [blogId, req.params.version]
+        );
+        if (revisions.length === 0) return "no-revision";
+        const snapshot = revisions[0].snapshot;
+        const before = await getBlogSnapshot(conn, blogId);
+
+        // Media, categories and tags deleted since are left out
+        const [media] = await conn.query("SELECT id FROM media WHERE id = ?", [
+          snapshot.media_id || 0,
+        ]);
+        const [categories] = await conn.query(
+          "SELECT id FROM blog_categories WHERE id = ?",
+          [snapshot.category_id || 0]
+        );
+        const [tags] = snapshot.tag_ids.length
+          ? await conn.query("SELECT id FROM blog_tags WHERE id IN (?)", [
+              snapshot.tag_ids,
+            ])
+          : [[]];
+
+        await conn.query(
+          "UPDATE blogs SET ?, version = version + 1 WHERE id = ?",
+          [
+            {
+              title: snapshot.title,
+              intro: snapshot.intro,
+              image_url: snapshot.image_url,
+              media_id: media.length ? media[0].id : null,
+              category_id: categories.length ? categories[0].id : null,
+              meta_title: snapshot.meta_title,
+              meta_description: snapshot.meta_description,
+              canonical_url: snapshot.canonical_url,
+            },
+            blogId,
+          ]
+        );
+
+        // Sections come back with their original ids
+        await conn.query("DELETE FROM blog_sections WHERE blog_id = ?", [
+          blogId,
+        ]);
+        if (snapshot.sections.length > 0) {
+          await conn.query(
+            "INSERT INTO blog_sections (id, blog_id, heading, content) VALUES ?",
+            [
+              snapshot.sections.map((section) => [
+                section.id,
+                blogId,
+                section.heading,
+                section.content,
+              ]),
+            ]
+          );
+        }
+        await setBlogTags(
+          conn,
+          blogId,
+          tags.map((tag) => tag.id)
+        );
+
+        after = await saveBlogRevision(conn, req, blogId, "restore");
+        await recordAudit(conn, req, {
+          action: "blog.restore",
+          targetType: "blog",
+          targetId: blogId,
+          before,
+          after: { ...after, restoredVersion: Number(req.params.version) },
+        });
+        return "restored";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Blog not found" });
+      }
+      if (outcome === "no-revision") {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+      if (outcome === "conflict") {
+        return sendBlogConflict(res, conflict);
+      }
+    } catch (err) {
+      console.error("Blog restore error:", err);
+      return res.status(500).json({ error: "Failed to restore revision" });
+    }
+
+    invalidateFeeds();
+    res.set("ETag", `"${after.version}"`);
+    res.status(200).json({
+      message: "Revision restored",
+      version: after.version,
+    });
+  }
+);
+
+// Plans catalog (public)
+app.get("/plans", (req, res) => {
+  const query =
+    "SELECT * FROM plans WHERE active = 1 ORDER BY is_trial DESC, price ASC";
+
+  connection.query(query, (err, results) => {
+    if (err) {
+      console.error("Plan fetch error:", err);
+      return res.status(500).json({ error: "Failed to fetch plans" });
+    }
+
+    res.status(200).json({ plans: results.map(formatPlan) });
+  });
+});
+
+// Active plans priced for the caller's country (public). The country comes
+// from the caller's IP like /get-location, or from ?country= to preview
+// another market.
+app.get("/plans/prices", async (req, res) => {
+  let country = req.query.country
+    ? String(req.query.country).toUpperCase()
+    : (await geoip.lookupCountry(req.ip)).country;
+  if (country && !/^[A-Z]{2}$/.test(country)) {
+    return res
+      .status(400)
+      .json({ error: "country must be an ISO country code" });
+  }
+
+  try {
+    const [plans] = await db.query(
+      "SELECT * FROM plans WHERE active = 1 ORDER BY is_trial DESC, price ASC"
+    );
+    const [prices] = await db.query(
+      "SELECT plan_id, region, price, currency FROM plan_prices"
+    );
+
+    res.status(200).json({
+      country,
+      plans: plans.map((plan) => {
+        const quote = pickPlanPrice(
+          plan,
+          prices.filter((price) => price.plan_id === plan.id),
+          country
+        );
+        return {
+          ...formatPlan(plan),
+          price: quote.amount,
+          currency: quote.currency,
+          formattedPrice: quote.formatted,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error("Plan price fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch plans" });
+  }
+});
+
+// All plans including inactive ones, with their country and region prices
+// (Protected route)
+app.get("/admin/plans", requirePermission("plans.read"), async (req, res) => {
+  try {
+    const [plans] = await db.query("SELECT * FROM plans ORDER BY id");
+    const [prices] = await db.query(
+      "SELECT plan_id, region, price, currency FROM plan_prices ORDER BY region"
+    );
+
+    res.status(200).json({
+      plans: plans.map((plan) => ({
+        ...formatPlan(plan),
+        prices: prices
+          .filter((price) => price.plan_id === plan.id)
+          .map(({ region, price, currency }) => ({
+            region,
+            price: Number(price),
+            currency,
+          })),
+      })),
+      regions: PRICE_REGIONS,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to fetch plans" });
+  }
+});
+
+const planValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("name").trim().notEmpty().withMessage("Name is required"),
+    field("durationValue")
+      .isInt({ min: 1 })
+      .withMessage("Duration must be a positive integer"),
+    field("durationUnit")
+      .isIn(["day", "month", "year"])
+      .withMessage("Duration unit must be day, month or year"),
+    field("price")
+      .isFloat({ min: 0 })
+      .withMessage("Price must be a positive number"),
+    body("isTrial").optional().isBoolean(),
+    body("currency")
+      .optional()
+      .isISO4217()
+      .withMessage("Currency must be an ISO 4217 code"),
+    body("active").optional().isBoolean(),
+  ];
+};
+
+// Maps request fields to plan columns
+const PLAN_FIELDS = {
+  name: "name",
+  durationValue: "duration_value",
+  durationUnit: "duration_unit",
+  isTrial: "is_trial",
+  price: "price",
+  currency: "currency",
+  active: "active",
+};
+
+const planColumnValue = (field, value) => {
+  if (field === "isTrial" || field === "active") {
+    return value === true || value === "true" ? 1 : 0;
+  }
+  if (field === "currency") return value.toUpperCase();
+  return value;
+};
+
+// Paid plans must have a price, or signups would get $0 invoices
+const getPlanPriceError = (plan) =>
+  !Number(plan.is_trial) && !(Number(plan.price) > 0)
+    ? "A paid plan needs a price above 0"
+    : null;
+
+// Add new plan
+app.post(
+  "/plans",
+  requirePermission("plans.write"),
+  planValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
+    }
+
+    const fields = Object.keys(PLAN_FIELDS).filter(
+      (field) => req.body[field] !== undefined
+    );
+    const columns = fields.map((field) => PLAN_FIELDS[field]);
+    const values = fields.map((field) =>
+      planColumnValue(field, req.body[field])
+    );
+    const invalid = getPlanPriceError(
+      Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+    );
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    let planId;
+    try {
+      await withTransaction(async (conn) => {
+        const [result] = await conn.query(
+          `INSERT INTO plans (${columns.join(", ")}) VALUES (?)`,
+          [values]
+        );
+        planId = result.insertId;
+
+        const [plans] = await conn.query("SELECT * FROM plans WHERE id = ?", [
+          planId,
+        ]);
+        await recordAudit(conn, req, {
+          action: "plan.create",
+          targetType: "plan",
+          targetId: planId,
+          after: plans[0],
+        });
+      });
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") {
+        return res
+          .status(409)
+          .json({ error: "Plan with this name already exists" });
+      }
+      console.error(err);
+      return res.status(500).json({ error: "Failed to insert plan" });
+    }
+
+    invalidateFeeds();
+    res.status(200).json({
+      message: "Plan added successfully",
+      planId,
+    });
+  }
+);
+
+// Update plan
+app.put(
+  "/plans/:id",
+  requirePermission("plans.write"),
+  planValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
+    }
+
+    const planId = req.params.id;
+    const fields = Object.keys(PLAN_FIELDS).filter(
+      (field) => req.body[field] !== undefined
+    );
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    const assignments = fields.map((field) => `${PLAN_FIELDS[field]} = ?`);
+    const values = fields.map((field) =>
+      planColumnValue(field, req.body[field])
+    );
+
+    let invalid;
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [before] = await conn.query(
+          "SELECT * FROM plans WHERE id = ? FOR UPDATE",
+          [planId]
+        );
+        if (before.length === 0) return "not-found";
+
+        invalid = getPlanPriceError({
+          ...before[0],
+          ...Object.fromEntries(
+            fields.map((field, i) => [PLAN_FIELDS[field], values[i]])
+          ),
+        });
+        if (invalid) return "invalid";
+
+        await conn.query(
+          `UPDATE plans SET ${assignments.join(", ")} WHERE id = ?`,
+          [...values, planId]
+        );
+
+        const [after] = await conn.query("SELECT * FROM plans WHERE id = ?", [
+          planId,
+        ]);
+        await recordAudit(conn, req, {
+          action: "plan.update",
+          targetType: "plan",
+          targetId: planId,
+          before: before[0],
+          after: after[0],
+        });
+        return "updated";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Plan not found" });
+      }
+      if (outcome === "invalid") {
+        return res.status(400).json({ error: invalid });
+      }
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") {
+        return res
+          .status(409)
+          .json({ error: "Plan with this name already exists" });
+      }
+      console.error(err);
+      return res.status(500).json({ error: "Failed to update plan" });
+    }
+
+    invalidateFeeds();
+    res.status(200).json({ message: "Plan updated successfully" });
+  }
+);
+
+// Replace a plan's country and region prices. Body: { prices: [{ region,
+// price, currency }] } where region is a country code or a PRICE_REGIONS name.
+app.put(
+  "/plans/:id/prices",
+  requirePermission("plans.write"),
+  [
+    body("prices").isArray().withMessage("prices must be a list"),
+    body("prices.*.region")
+      .customSanitizer((value) => String(value).toUpperCase())
+      .custom((value) => /^[A-Z]{2}$/.test(value) || value in PRICE_REGIONS)
+      .withMessage(
+        `Region must be a country code or one of ${Object.keys(
+          PRICE_REGIONS
+        ).join(", ")}`
+      ),
+    body("prices.*.price")
+      .isFloat({ min: 0 })
+      .withMessage("Price must be a positive number"),
+    body("prices.*.currency")
+      .isISO4217()
+      .withMessage("Currency must be an ISO 4217 code"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
+    }
+
+    const planId = req.params.id;
+    const prices = req.body.prices.map((price) => [
+      planId,
+      price.region,
+      price.price,
+      price.currency.toUpperCase(),
+    ]);
+    if (new Set(prices.map((price) => price[1])).size !== prices.length) {
+      return res
+        .status(400)
+        .json({ error: "Each region can only be listed once" });
+    }
+
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [plans] = await conn.query(
+          "SELECT id FROM plans WHERE id = ? FOR UPDATE",
+          [planId]
+        );
+        if (plans.length === 0) return "not-found";
+
+        const [before] = await conn.query(
+          "SELECT region, price, currency FROM plan_prices WHERE plan_id = ? ORDER BY region",
+          [planId]
+        );
+        await conn.query("DELETE FROM plan_prices WHERE plan_id = ?", [planId]);
+        if (prices.length > 0) {
+          await conn.query(
+            "INSERT INTO plan_prices (plan_id, region, price, currency) VALUES ?",
+            [prices]
+          );
+        }
+
+        await recordAudit(conn, req, {
+          action: "plan.prices",
+          targetType: "plan",
+          targetId: planId,
+          before,
+          after: req.body.prices,
+        });
+        return "updated";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Plan not found" });
+      }
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Failed to update plan prices" });
+    }
+
+    res.status(200).json({ message: "Plan prices updated successfully" });
+  }
+);
+
+// Delete plan (only when no customer is on it; otherwise deactivate it)
+app.delete("/plans/:id", requirePermission("plans.write"), async (req, res) => {
+  const planId = req.params.id;
+
+  try {
+    const outcome = await withTransaction(async (conn) => {
+      const [plans] = await conn.query(
+        "SELECT * FROM plans WHERE id = ? FOR UPDATE",
+        [planId]
+      );
+      if (plans.length === 0) return "not-found";
+
+      const [usage] = await conn.query(
+        "SELECT COUNT(*) AS total FROM users WHERE plan_id = ?",
+        [planId]
+      );
+      if (usage[0].total > 0) return "in-use";
+
+      await conn.query("DELETE FROM plans WHERE id = ?", [planId]);
+      await recordAudit(conn, req, {
+        action: "plan.delete",
+        targetType: "plan",
+        targetId: planId,
+        before: plans[0],
+      });
+      return "deleted";
+    });
+
+    if (outcome === "not-found") {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+    if (outcome === "in-use") {
+      return res.status(409).json({
+        error: "Plan is used by existing customers, deactivate it instead",
+      });
+    }
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Failed to delete plan" });
+  }
+
+  invalidateFeeds();
+  res.status(200).json({ message: "Plan deleted successfully" });
+});
+
+// === COUPONS ===
+
+const couponValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("code")
+      .matches(/^[A-Za-z0-9_-]{3,40}$/)
+      .withMessage(
+        "Code must be 3 to 40 letters, digits, dashes or underscores"
+      ),
+    field("discountType")
+      .isIn(["percent", "fixed"])
+      .withMessage("Discount type must be percent or fixed"),
+    field("discountValue")
+      .isFloat({ gt: 0 })
+      .withMessage("Discount must be a positive number"),
+    body("currency")
+      .optional({ values: "null" })
+      .isISO4217()
+      .withMessage("Currency must be an ISO 4217 code"),
+    body("expiresAt")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("expiresAt must be a date"),
+    body("maxUses")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("maxUses must be a positive integer"),
+    body("planIds").optional().isArray(),
+    body("planIds.*").isInt({ min: 1 }),
+    body("description").optional({ values: "null" }).trim().isLength({
+      max: 255,
+    }),
+    body("active").optional().isBoolean(),
+  ];
+};
+
+// Maps request fields to coupon columns
+const COUPON_FIELDS = {
+  code: "code",
+  description: "description",
+  discountType: "discount_type",
+  discountValue: "discount_value",
+  currency: "currency",
+  expiresAt: "expires_at",
+  maxUses: "max_uses",
+  active: "active",
+};
+
+const couponColumnValue = (field, value) => {
+  if (value === null) return null;
+  if (field === "active") return value === true || value === "true" ? 1 : 0;
+  if (field === "code") return normalizeCouponCode(value);
+  if (field === "currency") return value.toUpperCase();
+  if (field === "expiresAt") return new Date(value);
+  return value;
+};
+
+// Checks that need the coupon as a whole, after an update is merged in
+const getCouponError = (coupon) => {
+  if (
+    coupon.discount_type === "percent" &&
+    Number(coupon.discount_value) > 100
+  ) {
+    return "A percent discount can be at most 100";
+  }
+  if (coupon.discount_type === "fixed" && !coupon.currency) {
+    return "A fixed discount needs a currency";
+  }
+  return null;
+};
+
+const formatCoupon = (row, planIds = []) => ({
+  id: row.id,
+  code: row.code,
+  description: row.description,
+  discountType: row.discount_type,
+  discountValue: Number(row.discount_value),
+  currency: row.currency,
+  expiresAt: row.expires_at,
+  maxUses: row.max_uses,
+  timesUsed: row.times_used,
+  active: !!row.active,
+  planIds,
+  createdAt: row.created_at,
+});
+
+// Replaces the plans a coupon is limited to
+const setCouponPlans = async (conn, couponId, planIds) => {
+  await conn.query("DELETE FROM coupon_plans WHERE coupon_id = ?", [couponId]);
+  if (planIds.length > 0) {
+    await conn.query("INSERT INTO coupon_plans (coupon_id, plan_id) VALUES ?", [
+      [...new Set(planIds.map(Number))].map((planId) => [couponId, planId]),
+    ]);
+  }
+};
+
+// The price a visitor would pay for a plan with a coupon, for the signup form.
+// Like /plans/prices, priced for the visitor's country.
+app.get("/coupons/check", couponLimiter, async (req, res) => {
+  const { code, planId } = req.query;
+  if (!code || !planId) {
+    return res.status(400).json({ error: "code and planId are required" });
+  }
+
+  try {
+    const [plans] = await db.query(
+      "SELECT * FROM plans WHERE id = ? AND active = 1",
+      [planId]
+    );
+    if (plans.length === 0) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    const { country } = await geoip.lookupCountry(req.ip);
+    const quote = await getLocalizedPrice(db, plans[0], country);
+    const coupon = await findCoupon(db, code);
+    const discounted = applyCoupon(coupon, plans[0], quote);
+    if (discounted.error) {
+      return res
+        .status(400)
+        .json({ field: "couponCode", message: discounted.error });
+    }
+
+    res.status(200).json({
+      code: coupon.code,
+      originalPrice: quote.formatted,
+      discount: discounted.discount,
+      price: discounted.quote.amount,
+      currency: discounted.quote.currency,
+      formatted: discounted.quote.formatted,
+    });
+  } catch (err) {
+    console.error("Coupon check error:", err);
+    res.status(500).json({ error: "Failed to check coupon" });
+  }
+});
+
+// All coupons, newest first
+app.get("/coupons", requirePermission("coupons.read"), async (req, res) => {
+  try {
+    const [coupons] = await db.query(
+      "SELECT * FROM coupons ORDER BY created_at DESC, id DESC"
+    );
+    const [plans] = await db.query(
+      "SELECT coupon_id, plan_id FROM coupon_plans"
+    );
+
+    res.status(200).json({
+      coupons: coupons.map((coupon) =>
+        formatCoupon(
+          coupon,
+          plans
+            .filter((plan) => plan.coupon_id === coupon.id)
+            .map((plan) => plan.plan_id)
+        )
+      ),
+    });
+  } catch (err) {
+    console.error("Coupon fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch coupons" });
+  }
+});
+
+// Add a coupon. planIds limits it to those plans; leave it out for all plans.
+app.post(
+  "/coupons",
+  requirePermission("coupons.write"),
+  couponValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
+    }
+
+    const values = {};
+    for (const [field, column] of Object.entries(COUPON_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        values[column] = couponColumnValue(field, req.body[field]);
+      }
+    }
+    const invalid = getCouponError(values);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    let couponId;
+    try {
+      await withTransaction(async (conn) => {
+        const [result] = await conn.query("INSERT INTO coupons SET ?", [
+          values,
+        ]);
+        couponId = result.insertId;
+        await setCouponPlans(conn, couponId, req.body.planIds || []);
+
+        await recordAudit(conn, req, {
+          action: "coupon.create",
+          targetType: "coupon",
+          targetId: couponId,
+          after: await findCoupon(conn, values.code),
+        });
+      });
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") {
+        return res
+          .status(409)
+          .json({ error: "Coupon with this code already exists" });
+      }
+      if (err.code === "ER_NO_REFERENCED_ROW_2") {
+        return res.status(400).json({ error: "Plan not found" });
+      }
+      console.error("Coupon insert error:", err);
+      return res.status(500).json({ error: "Failed to add coupon" });
+    }
+
+    res.status(200).json({ message: "Coupon added successfully", couponId });
+  }
+);
+
+// Update a coupon. Changes apply to signups from now on; invoices that
+// already used it keep their discount.
+app.put(
+  "/coupons/:id",
+  requirePermission("coupons.write"),
+  couponValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
+    }
+
+    const changes = {};
+    for (const [field, column] of Object.entries(COUPON_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        changes[column] = couponColumnValue(field, req.body[field]);
+      }
+    }
+    if (Object.keys(changes).length === 0 && !req.body.planIds) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    let invalid;
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [coupons] = await conn.query(
+          "SELECT * FROM coupons WHERE id = ? FOR UPDATE",
+          [req.params.id]
+        );
+        if (coupons.length === 0) return "not-found";
+
+        invalid = getCouponError({ ...coupons[0], ...changes });
+        if (invalid) return "invalid";
+
+        const before = await findCoupon(conn, coupons[0].code);
+        if (Object.keys(changes).length > 0) {
+          await conn.query("UPDATE coupons SET ? WHERE id = ?", [
+            changes,
+            req.params.id,
+          ]);
+        }
+        if (req.body.planIds) {
+          await setCouponPlans(conn, req.params.id, req.body.planIds);
+        }
+
+        await recordAudit(conn, req, {
+          action: "coupon.update",
+          targetType: "coupon",
+          targetId: req.params.id,
+          before,
+          after: await findCoupon(conn, changes.code || coupons[0].code),
+        });
+        return "updated";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Coupon not found" });
+      }
+      if (outcome === "invalid") {
+        return res.status(400).json({ error: invalid });
+      }
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") {
+        return res
+          .status(409)
+          .json({ error: "Coupon with this code already exists" });
+      }
+      if (err.code === "ER_NO_REFERENCED_ROW_2") {
+        return res.status(400).json({ error: "Plan not found" });
+      }
+      console.error("Coupon update error:", err);
+      return res.status(500).json({ error: "Failed to update coupon" });
+    }
+
+    res.status(200).json({ message: "Coupon updated successfully" });
+  }
+);
+
+// Delete a coupon (only when it was never used; otherwise deactivate it)
+app.delete(
+  "/coupons/:id",
+  requirePermission("coupons.write"),
+  async (req, res) => {
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [coupons] = await conn.query(
+          "SELECT * FROM coupons WHERE id = ? FOR UPDATE",
+          [req.params.id]
+        );
+        if (coupons.length === 0) return "not-found";
+        if (coupons[0].times_used > 0) return "in-use";
+
+        await conn.query("DELETE FROM coupons WHERE id = ?", [req.params.id]);
+        await recordAudit(conn, req, {
+          action: "coupon.delete",
+          targetType: "coupon",
+          targetId: req.params.id,
+          before: coupons[0],
+        });
+        return "deleted";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Coupon not found" });
+      }
+      if (outcome === "in-use") {
+        return res.status(409).json({
+          error: "Coupon has been redeemed, deactivate it instead",
+        });
+      }
+    } catch (err) {
+      console.error("Coupon delete error:", err);
+      return res.status(500).json({ error: "Failed to delete coupon" });
+    }
+
+    res.status(200).json({ message: "Coupon deleted successfully" });
+  }
+);
+
+// === INVOICES ===
+
+// The coupon lines of an invoice: the price before the discount, and the
+// discount itself. Empty when no coupon was used.
+const getInvoiceDiscount = (row, amount, currency) => {
+  if (!row.coupon_code || row.discount_amount === null) return {};
+  const discount = Number(row.discount_amount);
+  return {
+    couponCode: row.coupon_code,
+    listPrice: formatPrice(Number(amount) + discount, currency),
+    discount: formatPrice(discount, currency),
+  };
+};
+
+// Everything printed on an invoice. Paid invoices come from the payments
+// ledger; the customer's open invoice comes from their users row. Pass a
+// transaction's connection to see its uncommitted changes.
+const getInvoiceDetails = async (invoice, conn = db) => {
+  const [payments] = await conn.query(
+    `SELECT pay.user_id, pay.invoice, pay.amount, pay.currency, pay.paid_at,
+      pay.invoice_issued_at, pay.invoice_due_at, pay.period_start, pay.period_end,
+      pay.coupon_code, pay.discount_amount, u.name, u.email, p.name AS plan
+    FROM payments pay
+    JOIN users u ON u.id = pay.user_id
+    LEFT JOIN plans p ON p.id = pay.plan_id
+    WHERE pay.invoice = ?
+    ORDER BY pay.paid_at DESC
+    LIMIT 1`,
+    [invoice]
+  );
+
+  if (payments.length > 0) {
+    const payment = payments[0];
+    return {
+      userId: payment.user_id,
+      invoice: payment.invoice,
+      name: payment.name,
+      email: payment.email,
+      plan: payment.plan,
+      price: formatPrice(payment.amount, payment.currency),
+      ...getInvoiceDiscount(payment, payment.amount, payment.currency),
+      status: "paid",
+      issuedAt: payment.invoice_issued_at || payment.paid_at,
+      dueAt: payment.invoice_due_at,
+      paidAt: payment.paid_at,
+      periodStart: payment.period_start,
+      periodEnd: payment.period_end,
+    };
+  }
+
+  const [users] = await conn.query(
+    `SELECT id, name, email, plan, Price, price_amount, price_currency, coupon_code,
+      discount_amount, invoice, invoice_status, invoice_issued_at, invoice_due_at, updated_at
+    FROM users
+    WHERE invoice = ?`,
+    [invoice]
+  );
+  if (users.length === 0) return null;
+
+  const user = users[0];
+  return {
+    userId: user.id,
+    invoice: user.invoice,
+    name: user.name,
+    email: user.email,
+    plan: user.plan,
+    price: user.Price,
+    ...getInvoiceDiscount(user, user.price_amount, user.price_currency),
+    status: user.invoice_status,
+    issuedAt: user.invoice_issued_at || user.updated_at,
+    dueAt: user.invoice_due_at,
+    paidAt: null,
+    periodStart: null,
+    periodEnd: null,
+  };
+};
+
+const formatInvoiceDate = (date) =>
+  date ? moment(date).format("D MMMM YYYY") : "-";
+
+// Render an invoice as a single-page A4 PDF
+const buildInvoicePdf = (details) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(22).text("America IPTV", { align: "left" });
+    doc.moveDown(0.5).fontSize(16).text("INVOICE");
+    doc.moveDown();
+
+    const rows = [
+      ["Invoice Number", details.invoice],
+      ["Status", details.status.toUpperCase()],
+      ["Issue Date", formatInvoiceDate(details.issuedAt)],
+      ["Due Date", formatInvoiceDate(details.dueAt)],
+    ];
+    if (details.paidAt)
+      rows.push(["Paid On", formatInvoiceDate(details.paidAt)]);
+
+    doc.fontSize(11);
+    rows.forEach(([label, value]) => {
+      doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+      doc.font("Helvetica").text(value);
+    });
+
+    doc.moveDown().font("Helvetica-Bold").text("Bill To");
+    doc.font("Helvetica").text(details.name).text(details.email);
+
+    doc.moveDown(1.5);
+    const tableTop = doc.y;
+    doc.font("Helvetica-Bold");
+    doc.text("Description", 50, tableTop).text("Amount", 400, tableTop);
+    doc
+      .moveTo(50, tableTop + 15)
+      .lineTo(545, tableTop + 15)
+      .stroke();
+
+    const period =
+      details.periodStart && details.periodEnd
+        ? ` (${formatInvoiceDate(details.periodStart)} - ${formatInvoiceDate(details.periodEnd)})`
+        : "";
+    doc.font("Helvetica");
+    doc.text(`${details.plan}${period}`, 50, tableTop + 25, { width: 330 });
+    doc.text(details.listPrice || details.price, 400, tableTop + 25);
+    if (details.discount) {
+      doc.text(`Discount (coupon ${details.couponCode})`, 50, tableTop + 45);
+      doc.text(`-${details.discount}`, 400, tableTop + 45);
+    }
+
+    doc.moveDown(2).font("Helvetica-Bold").text(`Total: ${details.price}`, 400);
+
+    doc
+      .moveDown(3)
+      .font("Helvetica")
+      .fontSize(9)
+      .text("Thank you for choosing America IPTV.", 50);
+
+    doc.end();
+  });
+
+// Invoice PDF as a nodemailer attachment list. A rendering failure shouldn't
+// stop the email, so it's logged and the email goes out without it.
+// Outbox attachment descriptor for an invoice PDF. The invoice is captured as
+// it stands when the email is queued, so a delayed or retried email carries
+// the same amounts and status as its text.
+const getInvoiceAttachment = async (conn, invoice) => ({
+  type: "invoice",
+  invoice,
+  details: await getInvoiceDetails(invoice, conn),
+});
+
+// `details` as captured by getInvoiceAttachment. Emails queued before
+// invoices were captured look the invoice up when they are sent.
+const getInvoiceAttachments = async (invoice, captured) => {
+  try {
+    const details = captured || (await getInvoiceDetails(invoice));
+    if (!details) return [];
+    return [
+      { filename: `${invoice}.pdf`, content: await buildInvoicePdf(details) },
+    ];
+  } catch (err) {
+    console.error(`Invoice PDF error for ${invoice}:`, err);
+    return [];
+  }
+};
+
+// Turns outbox attachment descriptors into files when the email is sent
+const resolveEmailAttachments = async (descriptors) => {
+  const attachments = [];
+  for (const descriptor of descriptors) {
+    if (descriptor.type === "invoice") {
+      attachments.push(
+        ...(await getInvoiceAttachments(descriptor.invoice, descriptor.details))
+      );
+    }
+  }
+  return attachments;
+};
+
+// Download an invoice PDF. Admins can fetch any invoice, customers only their own.
+app.get("/invoices/:invoice", verifyAdminOrCustomer, async (req, res) => {
+  if (req.user && !hasPermission(req.user, "invoices.read")) {
+    return res.status(403).json({ error: "Not allowed for your role" });
+  }
+
+  let details;
+  try {
+    details = await getInvoiceDetails(req.params.invoice);
+  } catch (err) {
+    console.error("Invoice fetch error:", err);
+    return res.status(500).json({ error: "Database error" });
+  }
+
+  // Customers get the same 404 for other people's invoices
+  if (!details || (req.customer && details.userId !== req.customer.id)) {
+    return res.status(404).json({ error: "Invoice not found" });
+  }
+
+  try {
+    const pdf = await buildInvoicePdf(details);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${details.invoice}.pdf"`,
+    });
+    res.status(200).send(pdf);
+  } catch (err) {
+    console.error("Invoice PDF error:", err);
+    res.status(500).json({ error: "Failed to generate invoice" });
+  }
+});
+
+// === PAYMENT WEBHOOKS ===
+
+// Payment provider events. Verified against the raw body, recorded by event id
+// so replays are refused, and applied through the same ledger as manual payments.
+app.post("/webhooks/payments", async (req, res) => {
+  const signatureError = verifyWebhookSignature(
+    req.header("Payment-Signature"),
+    req.rawBody
+  );
+  if (signatureError === SECRET_NOT_CONFIGURED) {
+    console.error(
+      "Payment webhook received but PAYMENT_WEBHOOK_SECRET is unset"
+    );
+    return res.status(500).json({ error: signatureError });
+  }
+  if (signatureError) {
+    return res.status(400).json({ error: signatureError });
+  }
+
+  // Parse the verified bytes rather than the sanitised req.body
+  let event;
+  try {
+    event = JSON.parse(req.rawBody.toString("utf8"));
+  } catch (err) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const payment = event.data?.object || {};
+  if (!event.id || !event.type) {
+    return res.status(400).json({ error: "Event id and type required" });
+  }
+
+  try {
+    const outcome = await withTransaction(async (conn) => {
+      // Every event is stored with what became of it, so a repeat is a replay
+      const markProcessed = async (
+        status,
+        { reason = null, userId = null }
+      ) => {
+        const [inserted] = await conn.query(
+          `INSERT IGNORE INTO webhook_events (event_id, type, invoice, status, reason, user_id, payload)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            event.id,
+            event.type,
+            payment.invoice || null,
+            status,
+            reason,
+            userId,
+            req.rawBody.toString("utf8"),
+          ]
+        );
+        return inserted.affectedRows > 0;
+      };
+
+      if (event.type !== "payment.succeeded") {
+        return (await markProcessed("ignored", {})) ? "ignored" : "replayed";
+      }
+
+      const [results] = await conn.query(
+        `SELECT u.id, u.name, u.plan, u.plan_id, u.email, u.invoice, u.invoice_status,
+          u.invoice_issued_at, u.invoice_due_at, u.language, u.country,
+          p.duration_value, p.duration_unit,
+          COALESCE(u.price_amount, p.price) AS price,
+          COALESCE(u.price_currency, p.currency) AS currency,
+          u.coupon_code, u.discount_amount
+        FROM users u
+        LEFT JOIN plans p ON p.id = u.plan_id
+        WHERE u.invoice = ?
+        FOR UPDATE`,
+        [payment.invoice]
+      );
+      const user = results[0];
+      // Nothing is written yet, so the provider's retry is processed once the invoice exists
+      if (!user || !user.duration_unit) return "unknown-invoice";
+
+      // Already settled, e.g. confirmed by an admin before the event arrived
+      if (user.invoice_status === "paid") {
+        const stored = await markProcessed("ignored", {
+          reason: "already-paid",
+          userId: user.id,
+        });
+        return stored ? "already-paid" : "replayed";
+      }
+
+      await startRenewalInvoice(conn, user);
+
+      // The customer paid but it can't be applied (wrong amount or currency,
+      // or an invoice that can't be paid any more). The provider won't send
+      // it again, so it is kept for an admin to settle (see /webhook-events).
+      const expectedAmount = Math.round(Number(user.price) * 100);
+      let rejection = null;
+      if (!canTransition(user.invoice_status, "paid")) {
+        rejection = "illegal";
+      } else if (
+        Number(payment.amount) !== expectedAmount ||
+        String(payment.currency).toUpperCase() !== user.currency
+      ) {
+        rejection = "amount-mismatch";
+      }
+
+      if (rejection) {
+        const stored = await markProcessed("rejected", {
+          reason: rejection,
+          userId: user.id,
+        });
+        if (!stored) return "replayed";
+
+        await recordAudit(conn, req, {
+          action: "webhook.rejected",
+          targetType: "user",
+          targetId: user.id,
+          before: {
+            invoice_status: user.invoice_status,
+            amount: expectedAmount,
+            currency: user.currency,
+          },
+          after: {
+            event: event.id,
+            reason: rejection,
+            amount: payment.amount,
+            currency: payment.currency,
+          },
+        });
+        return rejection;
+      }
+
+      if (!(await markProcessed("applied", { userId: user.id }))) {
+        return "replayed";
+      }
+
+      await setInvoiceStatus(conn, user.id, "paid");
+      const term = await recordPayment(conn, user, {
+        source: "webhook",
+        reference: payment.id || event.id,
+      });
+      await recordAudit(conn, req, {
+        action: "user.status",
+        targetType: "user",
+        targetId: user.id,
+        before: { invoice_status: user.invoice_status },
+        after: { invoice_status: "paid", reference: payment.id || event.id },
+      });
+      await queuePaymentConfirmation(conn, user, term);
+      return "paid";
+    });
+
+    if (outcome === "replayed") {
+      return res.status(409).json({ error: "Event already processed" });
+    }
+    if (outcome === "unknown-invoice") {
+      return res.status(404).json({ error: "Unknown invoice" });
+    }
+    if (outcome === "amount-mismatch" || outcome === "illegal") {
+      console.error(`Webhook ${event.id} rejected: ${outcome}`);
+    }
+  } catch (err) {
+    console.error("Webhook error:", err);
+    return res.status(500).json({ error: "Webhook processing failed" });
+  }
+
+  res.status(200).json({ received: true });
+});
+
+// Provider events, rejected payments first by default. ?status= picks
+// applied, ignored, rejected or resolved.
+app.get(
+  "/webhook-events",
+  requirePermission("invoices.read"),
+  async (req, res) => {
+    const status = ["applied", "ignored", "rejected", "resolved"].includes(
+      req.query.status
+    )
+      ? req.query.status
+      : "rejected";
+
+    try {
+      const [events] = await db.query(
+        `SELECT e.event_id, e.type, e.invoice, e.status, e.reason, e.user_id, e.payload,
+          e.received_at, e.resolved_at, e.resolution_note, u.email, a.email AS resolved_by
+        FROM webhook_events e
+        LEFT JOIN users u ON u.id = e.user_id
+        LEFT JOIN admin a ON a.id = e.resolved_by
+        WHERE e.status = ?
+        ORDER BY e.received_at DESC
+        LIMIT 200`,
+        [status]
+      );
+      res.status(200).json({ events });
+    } catch (err) {
+      console.error("Webhook event fetch error:", err);
+      res.status(500).json({ error: "Failed to fetch webhook events" });
+    }
+  }
+);
+
+// Mark a rejected payment as settled, once it has been applied by hand
+// (/update-status) or refunded with the provider. Body: { note }.
+app.post(
+  "/webhook-events/:eventId/resolve",
+  requirePermission("customers.write"),
+  [body("note").trim().notEmpty().isLength({ max: 500 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
+    }
+
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [events] = await conn.query(
+          "SELECT * FROM webhook_events WHERE event_id = ? FOR UPDATE",
+          [req.params.eventId]
+        );
+        if (events.length === 0) return "not-found";
+        if (events[0].status !== "rejected") return "not-rejected";
+
+        await conn.query(
+          `UPDATE webhook_events
+          SET status = 'resolved', resolved_at = NOW(), resolved_by = ?, resolution_note = ?
+          WHERE event_id = ?`,
+          [req.user.id, req.body.note, req.params.eventId]
+        );
+        await recordAudit(conn, req, {
+          action: "webhook.resolve",
+          targetType: "user",
+          targetId: events[0].user_id,
+          before: { event: events[0].event_id, status: events[0].status },
+          after: { status: "resolved", note: req.body.note },
+        });
+        return "resolved";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Event not found" });
+      }
+      if (outcome === "not-rejected") {
+        return res
+          .status(409)
+          .json({ error: "Only rejected events can be resolved" });
+      }
+    } catch (err) {
+      console.error("Webhook resolve error:", err);
+      return res.status(500).json({ error: "Failed to resolve event" });
+    }
+
+    res.status(200).json({ message: "Event marked as resolved" });
+  }
+);
+
+// === EMAIL TEMPLATES ===
+
+// Template names and the languages they're available in (Protected route)
+app.get("/email-templates", requirePermission("emails.read"), (req, res) => {
+  res.status(200).json({
+    templates: mailer.listTemplates(),
+    languages: mailer.SUPPORTED_LANGUAGES,
+  });
+});
+
+// Render a template with sample data. ?lang= picks the language and
+// ?format=html returns the HTML part as a page instead of JSON.
+app.get(
+  "/email-templates/:name/preview",
+  requirePermission("emails.read"),
+  (req, res) => {
+    const { name } = req.params;
+    if (!mailer.listTemplates().includes(name)) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    const language = mailer.pickLanguage({ language: req.query.lang });
+
+    let rendered;
+    try {
+      rendered = mailer.render(name, language, mailer.sampleVars(name));
+    } catch (err) {
+      console.error("Template preview error:", err);
+      return res.status(500).json({ error: "Failed to render template" });
+    }
+
+    if (req.query.format === "html") {
+      return res.status(200).type("html").send(rendered.html);
+    }
+
+    res.status(200).json({ template: name, language, ...rendered });
+  }
+);
+
+// === EMAIL OUTBOX ===
+
+// Undelivered emails, failed ones first (Protected route).
+// ?status=failed or ?status=pending narrows the list.
+app.get("/email-outbox", requirePermission("emails.read"), async (req, res) => {
+  const statuses = ["failed", "pending"].includes(req.query.status)
+    ? [req.query.status]
+    : ["failed", "pending"];
+
+  try {
+    const [messages] = await db.query(
+      `SELECT id, template, recipient, language, subject, status, attempts, last_error,
+        next_attempt_at, created_at, sent_at
+      FROM email_outbox
+      WHERE status IN (?)
+      ORDER BY status = 'failed' DESC, created_at DESC
+      LIMIT 200`,
+      [statuses]
+    );
+    res.status(200).json({ messages });
+  } catch (err) {
+    console.error("Outbox fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch outbox" });
+  }
+});
+
+// Put a message back in the queue with a fresh set of attempts
+app.post(
+  "/email-outbox/:id/resend",
+  requirePermission("emails.write"),
+  async (req, res) => {
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [result] = await conn.query(
+          `UPDATE email_outbox
+        SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NOW()
+        WHERE id = ? AND status <> 'sending'`,
+          [req.params.id]
+        );
+        if (result.affectedRows === 0) return "not-found";
+
+        await recordAudit(conn, req, {
+          action: "email.resend",
+          targetType: "email",
+          targetId: req.params.id,
+        });
+        return "queued";
+      });
+
+      if (outcome === "not-found") {
+        return res
+          .status(404)
+          .json({ error: "Message not found or being sent right now" });
+      }
+    } catch (err) {
+      console.error("Outbox resend error:", err);
+      return res.status(500).json({ error: "Failed to requeue message" });
+    }
+
+    res.status(200).json({ message: "Email queued for delivery" });
+  }
+);
+
+// === NOTIFICATIONS ===
+
+// Channel switches from a request body, e.g. { "sms": true, "email": false }.
+// Returns { changes } or { error }.
+const getChannelChanges = (body) => {
+  const changes = {};
+  for (const channel of notifier.CHANNELS) {
+    if (body[channel] === undefined) continue;
+    if (typeof body[channel] !== "boolean") {
+      return { error: `${channel} must be true or false` };
+    }
+    changes[channel] = body[channel];
+  }
+  if (Object.keys(changes).length === 0) {
+    return {
+      error: `Set at least one of ${notifier.CHANNELS.join(", ")}`,
+    };
+  }
+  return { changes };
+};
+
+// Saves a customer's channel preferences with an audit entry. Resolves to the
+// new preferences, or null when the customer doesn't exist.
+const updateNotificationPreferences = async (req, userId, changes) =>
+  withTransaction(async (conn) => {
+    const [users] = await conn.query(
+      "SELECT id FROM users WHERE id = ? FOR UPDATE",
+      [userId]
+    );
+    if (users.length === 0) return null;
+
+    const before = await notifier.getPreferences(conn, userId);
+    await notifier.setPreferences(conn, userId, changes);
+    const after = await notifier.getPreferences(conn, userId);
+
+    await recordAudit(conn, req, {
+      action: "user.notifications",
+      targetType: "user",
+      targetId: userId,
+      before,
+      after,
+    });
+    return after;
+  });
+
+// Delivery log across all channels, newest first (Protected route). Filters:
+// userId, channel, status; paginated with page and pageSize (max 200). Email
+// entries show the status of their outbox message.
+app.get(
+  "/notifications",
+  requirePermission("emails.read"),
+  async (req, res) => {
+    const conditions = [];
+    const values = [];
+    if (req.query.userId) {
+      conditions.push("n.user_id = ?");
+      values.push(req.query.userId);
+    }
+    if (req.query.channel) {
+      conditions.push("n.channel = ?");
+      values.push(req.query.channel);
+    }
+    if (req.query.status) {
+      conditions.push("COALESCE(o.status, n.status) = ?");
+      values.push(req.query.status);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(req.query.pageSize) || 50, 1),
+      200
+    );
+    const from = `FROM notifications n
+    LEFT JOIN email_outbox o ON o.id = n.email_outbox_id
+    ${where}`;
+
+    try {
+      const [[{ total }]] = await db.query(
+        `SELECT COUNT(*) AS total ${from}`,
+        values
+      );
+      const [notifications] = await db.query(
+        `SELECT n.id, n.user_id, n.channel, n.template, n.recipient, n.language,
+        COALESCE(o.status, n.status) AS status,
+        COALESCE(o.attempts, n.attempts) AS attempts,
+        COALESCE(o.last_error, n.last_error) AS last_error,
+        n.provider, n.provider_message_id, n.email_outbox_id,
+        COALESCE(o.sent_at, n.sent_at) AS sent_at, n.created_at
+      ${from}
+      ORDER BY n.id DESC
+      LIMIT ? OFFSET ?`,
+        [...values, pageSize, (page - 1) * pageSize]
+      );
+
+      res.status(200).json({ notifications, page, pageSize, total });
+    } catch (err) {
+      console.error("Notification log fetch error:", err);
+      res.status(500).json({ error: "Failed to fetch notifications" });
+    }
+  }
+);
+
+// A customer's channel preferences
+app.get(
+  "/users/:id/notifications",
+  requirePermission("customers.read"),
+  async (req, res) => {
+    try {
+      const [users] = await db.query("SELECT id FROM users WHERE id = ?", [
+        req.params.id,
+      ]);
+      if (users.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const preferences = await notifier.getPreferences(db, req.params.id);
+      res.status(200).json({ preferences });
+    } catch (err) {
+      console.error("Notification preferences fetch error:", err);
+      res.status(500).json({ error: "Failed to fetch preferences" });
+    }
+  }
+);
+
+// Change a customer's channel preferences on their behalf
+app.put(
+  "/users/:id/notifications",
+  requirePermission("customers.write"),
+  async (req, res) => {
+    const { changes, error } = getChannelChanges(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const preferences = await updateNotificationPreferences(
+        req,
+        req.params.id,
+        changes
+      );
+      if (!preferences) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      res.status(200).json({ message: "Preferences updated", preferences });
+    } catch (err) {
+      console.error("Notification preferences update error:", err);
+      res.status(500).json({ error: "Failed to update preferences" });
+    }
+  }
+);
+
+// === AUDIT LOG ===
+
+// Audit log entries, newest first (Protected route). Filters: actorId,
+// actorType, action, targetType, targetId, from and to (dates); paginated
+// with page and pageSize (max 200).
+app.get("/audit-log", requirePermission("audit.read"), async (req, res) => {
+  const filters = {
+    actorId: "actor_id = ?",
+    actorType: "actor_type = ?",
+    action: "action = ?",
+    targetType: "target_type = ?",
+    targetId: "target_id = ?",
+    from: "created_at >= ?",
+    to: "created_at < ? + INTERVAL 1 DAY",
+  };
+
+  const conditions = [];
+  const values = [];
+  for (const [param, condition] of Object.entries(filters)) {
+    if (req.query[param] === undefined) continue;
+    if (
+      (param === "from" || param === "to") &&
+      !moment(req.query[param], "YYYY-MM-DD", true).isValid()
+    ) {
+      return res.status(400).json({ error: `${param} must be YYYY-MM-DD` });
+    }
+    conditions.push(condition);
+    values.push(String(req.query[param]));
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(req.query.pageSize) || 50, 1),
+    200
+  );
+
+  try {
+    const [[{ total }]] = await db.query(
+      `SELECT COUNT(*) AS total FROM audit_log ${where}`,
+      values
+    );
+    const [entries] = await db.query(
+      `SELECT id, actor_type, actor_id, actor_email, action, target_type, target_id,
+        before_value, after_value, ip, created_at
+      FROM audit_log
+      ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?`,
+      [...values, pageSize, (page - 1) * pageSize]
+    );
+
+    res.status(200).json({ entries, page, pageSize, total });
+  } catch (err) {
+    console.error("Audit log fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
+// === SEO ===
+
+// Public site the sitemap and feeds link to
+const getSiteUrl = () =>
+  (process.env.SITE_URL || PORTAL_URL).replace(/\/+$/, "");
+
+const getBlogUrl = (blog) => `${getSiteUrl()}/blog/${blog.slug}`;
+const getPlanUrl = (plan) => `${getSiteUrl()}/plans/${slugify(plan.name)}`;
+
+// Generated XML documents by path. Cleared whenever a blog or plan changes,
+// and after FEED_CACHE_SECONDS in any case.
+const feedCache = new Map();
+const FEED_CACHE_MS = parseInt(process.env.FEED_CACHE_SECONDS || "3600") * 1000;
+
+const invalidateFeeds = () => feedCache.clear();
+
+const FEED_SIZE = 20;
+
+const getFeedBlogs = async () => {
+  const [blogs] = await db.query(
+    `SELECT id, slug, title, intro, meta_title, meta_description, canonical_url,
+      image_url, published_at
+    FROM blogs
+    WHERE status = 'published'
+    ORDER BY published_at DESC, id DESC
+    LIMIT ?`,
+    [FEED_SIZE]
+  );
+  return blogs;
+};
+
+const xml = (value) => mailer.escapeHtml(value ?? "");
+
+const buildSitemap = async () => {
+  const [blogs] = await db.query(
+    `SELECT slug, canonical_url, published_at FROM blogs
+    WHERE status = 'published'
+    ORDER BY published_at DESC`
+  );
+  const [plans] = await db.query(
+    "SELECT name, updated_at FROM plans WHERE active = 1 ORDER BY id"
+  );
+
+  const urls = [
+    { loc: `${getSiteUrl()}/` },
+    { loc: `${getSiteUrl()}/blog` },
+    ...plans.map((plan) => ({
+      loc: getPlanUrl(plan),
+      lastmod: plan.updated_at,
+    })),
+    ...blogs.map((blog) => ({
+      loc: blog.canonical_url || getBlogUrl(blog),
+      lastmod: blog.published_at,
+    })),
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls
+  .map(
+    (url) =>
+      `  <url><loc>${xml(url.loc)}</loc>${
+        url.lastmod
+          ? `<lastmod>${moment(url.lastmod).format("YYYY-MM-DD")}</lastmod>`
+          : ""
+      }</url>`
+  )
+  .join("\n")}
+</urlset>
+`;
+};
+
+const FEED_TITLE = process.env.FEED_TITLE || "America IPTV Blog";
+
+const buildRss = async () => {
+  const blogs = await getFeedBlogs();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xml(FEED_TITLE)}</title>
+    <link>${xml(`${getSiteUrl()}/blog`)}</link>
+    <atom:link href="${xml(`${getSiteUrl()}/feed.xml`)}" rel="self" type="application/rss+xml"/>
+    <description>${xml(FEED_TITLE)}</description>
+${blogs
+  .map((blog) => {
+    const url = blog.canonical_url || getBlogUrl(blog);
+    return `    <item>
+      <title>${xml(blog.meta_title || blog.title)}</title>
+      <link>${xml(url)}</link>
+      <guid isPermaLink="true">${xml(url)}</guid>
+      <pubDate>${new Date(blog.published_at).toUTCString()}</pubDate>
+      <description>${xml(blog.meta_description || blog.intro)}</description>
+    </item>`;
+  })
+  .join("\n")}
+  </channel>
+</rss>
+`;
+};
+
+const buildAtom = async () => {
+  const blogs = await getFeedBlogs();
+  const updated = blogs[0] ? blogs[0].published_at : new Date();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${xml(FEED_TITLE)}</title>
+  <id>${xml(`${getSiteUrl()}/blog`)}</id>
+  <link href="${xml(`${getSiteUrl()}/blog`)}"/>
+  <link href="${xml(`${getSiteUrl()}/atom.xml`)}" rel="self"/>
+  <updated>${new Date(updated).toISOString()}</updated>
+${blogs
+  .map((blog) => {
+    const url = blog.canonical_url || getBlogUrl(blog);
+    return `  <entry>
+    <title>${xml(blog.meta_title || blog.title)}</title>
+    <id>${xml(url)}</id>
+    <link href="${xml(url)}"/>
+    <published>${new Date(blog.published_at).toISOString()}</published>
+    <updated>${new Date(blog.published_at).toISOString()}</updated>
+    <summary>${xml(blog.meta_description || blog.intro)}</summary>
+    <author><name>${xml(FEED_TITLE)}</name></author>
+  </entry>`;
+  })
+  .join("\n")}
+</feed>
+`;
+};
+
+// Serve a generated document from the cache, building it when missing
+const serveFeed = (build, contentType) => async (req, res) => {
+  try {
+    let cached = feedCache.get(req.path);
+    if (!cached || cached.expiresAt < Date.now()) {
+      cached = { body: await build(), expiresAt: Date.now() + FEED_CACHE_MS };
+      feedCache.set(req.path, cached);
+    }
+
+    res.set({
+      "Content-Type": `${contentType}; charset=utf-8`,
+      "Cache-Control": "public, max-age=300",
+    });
+    res.status(200).send(cached.body);
+  } catch (err) {
+    console.error(`${req.path} error:`, err);
+    res.status(500).json({ error: "Failed to build feed" });
+  }
+};
+
+app.get("/sitemap.xml", serveFeed(buildSitemap, "application/xml"));
+app.get("/feed.xml", serveFeed(buildRss, "application/rss+xml"));
+app.get("/atom.xml", serveFeed(buildAtom, "application/atom+xml"));
+
+// === BLOG CATEGORIES AND TAGS ===
+
+// Both are managed the same way; they differ in how posts link to them (a
+// post has one category but any number of tags)
+const BLOG_TERMS = {
+  "blog-categories": {
+    table: "blog_categories",
+    listKey: "categories",
+    label: "Category",
+    auditType: "blog_category",
+    postsJoin: "LEFT JOIN blogs b ON b.category_id = t.id",
+  },
+  "blog-tags": {
+    table: "blog_tags",
+    listKey: "tags",
+    label: "Tag",
+    auditType: "blog_tag",
+    postsJoin: `LEFT JOIN blog_post_tags pt ON pt.tag_id = t.id
+      LEFT JOIN blogs b ON b.id = pt.blog_id`,
+  },
+};
+
+const termValidators = (optional) => {
+  const name = optional ? body("name").optional() : body("name");
+  return [
+    name
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be 1 to 100 characters"),
+    body("slug")
+      .optional()
+      .matches(SLUG_PATTERN)
+      .withMessage("Slug may only contain lowercase letters, digits and dashes")
+      .isLength({ max: 120 }),
+    body("description").optional({ values: "null" }).trim().isLength({
+      max: 500,
+    }),
+  ];
+};
+
+const formatTermDetails = (row) => ({
+  ...formatTerm(row),
+  description: row.description,
+  posts: row.posts,
+});
+
+for (const [resource, term] of Object.entries(BLOG_TERMS)) {
+  // List with the number of published posts in each (public, for blog menus)
+  app.get(`/${resource}`, async (req, res) => {
+    try {
+      const [rows] = await db.query(
+        `SELECT t.*, COUNT(b.id) AS posts FROM ${term.table} t
+        ${term.postsJoin} AND b.status = 'published'
+        GROUP BY t.id
+        ORDER BY t.name`
+      );
+      res.status(200).json({ [term.listKey]: rows.map(formatTermDetails) });
+    } catch (err) {
+      console.error(`${term.label} fetch error:`, err);
+      res.status(500).json({ error: "Failed to fetch blog terms" });
+    }
+  });
+
+  app.post(
+    `/${resource}`,
+    requirePermission("blogs.write"),
+    termValidators(false),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res
+          .status(400)
+          .json({ error: "Invalid data", errors: errors.array() });
+      }
+
+      const slug = req.body.slug || slugify(req.body.name);
+      if (!slug) {
+        return res.status(400).json({ error: "Name needs a letter or digit" });
+      }
+
+      let id;
+      try {
+        await withTransaction(async (conn) => {
+          const [result] = await conn.query(`INSERT INTO ${term.table} SET ?`, [
+            {
+              name: req.body.name,
+              slug,
+              description: req.body.description || null,
+            },
+          ]);
+          id = result.insertId;
+
+          const [rows] = await conn.query(
+            `SELECT * FROM ${term.table} WHERE id = ?`,
+            [id]
+          );
+          await recordAudit(conn, req, {
+            action: `${term.auditType}.create`,
+            targetType: term.auditType,
+            targetId: id,
+            after: rows[0],
+          });
+        });
+      } catch (err) {
+        if (err.code === "ER_DUP_ENTRY") {
+          return res.status(409).json({
+            error: `${term.label} with this name or slug already exists`,
+          });
+        }
+        console.error(`${term.label} insert error:`, err);
+        return res.status(500).json({ error: "Failed to add blog term" });
+      }
+
+      res.status(200).json({ message: `${term.label} added`, id, slug });
+    }
+  );
+
+  // Renaming keeps the slug unless a new one is given, so links keep working
+  app.put(
+    `/${resource}/:id`,
+    requirePermission("blogs.write"),
+    termValidators(true),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res
+          .status(400)
+          .json({ error: "Invalid data", errors: errors.array() });
+      }
+
+      const changes = {};
+      for (const field of ["name", "slug", "description"]) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field] || null;
+        }
+      }
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+
+      try {
+        const outcome = await withTransaction(async (conn) => {
+          const [before] = await conn.query(
+            `SELECT * FROM ${term.table} WHERE id = ? FOR UPDATE`,
+            [req.params.id]
+          );
+          if (before.length === 0) return "not-found";
+
+          await conn.query(`UPDATE ${term.table} SET ? WHERE id = ?`, [
+            changes,
+            req.params.id,
+          ]);
+          const [after] = await conn.query(
+            `SELECT * FROM ${term.table} WHERE id = ?`,
+            [req.params.id]
+          );
+          await recordAudit(conn, req, {
+            action: `${term.auditType}.update`,
+            targetType: term.auditType,
+            targetId: req.params.id,
+            before: before[0],
+            after: after[0],
+          });
+          return "updated";
+        });
+
+        if (outcome === "not-found") {
+          return res.status(404).json({ error: `${term.label} not found` });
+        }
+      } catch (err) {
+        if (err.code === "ER_DUP_ENTRY") {
+          return res.status(409).json({
+            error: `${term.label} with this name or slug already exists`,
+          });
+        }
+        console.error(`${term.label} update error:`, err);
+        return res.status(500).json({ error: "Failed to update blog term" });
+      }
+
+      res.status(200).json({ message: `${term.label} updated` });
+    }
+  );
+
+  // Posts lose the category or tag; they are not deleted
+  app.delete(
+    `/${resource}/:id`,
+    requirePermission("blogs.write"),
+    async (req, res) => {
+      try {
+        const outcome = await withTransaction(async (conn) => {
+          const [before] = await conn.query(
+            `SELECT * FROM ${term.table} WHERE id = ? FOR UPDATE`,
+            [req.params.id]
+          );
+          if (before.length === 0) return "not-found";
+
+          await conn.query(`DELETE FROM ${term.table} WHERE id = ?`, [
+            req.params.id,
+          ]);
+          await recordAudit(conn, req, {
+            action: `${term.auditType}.delete`,
+            targetType: term.auditType,
+            targetId: req.params.id,
+            before: before[0],
+          });
+          return "deleted";
+        });
+
+        if (outcome === "not-found") {
+          return res.status(404).json({ error: `${term.label} not found` });
+        }
+      } catch (err) {
+        console.error(`${term.label} delete error:`, err);
+        return res.status(500).json({ error: "Failed to delete blog term" });
+      }
+
+      res.status(200).json({ message: `${term.label} deleted` });
+    }
+  );
+}
+
+// === MEDIA LIBRARY ===
+
+const MEDIA_DIR = path.join(__dirname, "public", "uploads");
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_MB || "5") * 1024 * 1024;
+
+// Image types we accept, recognised by their first bytes. SVG is left out on
+// purpose: it can carry scripts.
+const IMAGE_SIGNATURES = [
+  {
+    mime: "image/jpeg",
+    ext: "jpg",
+    test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  },
+  {
+    mime: "image/png",
+    ext: "png",
+    test: (b) =>
+      b
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mime: "image/gif",
+    ext: "gif",
+    test: (b) =>
+      ["GIF87a", "GIF89a"].includes(b.subarray(0, 6).toString("latin1")),
+  },
+  {
+    mime: "image/webp",
+    ext: "webp",
+    test: (b) =>
+      b.subarray(0, 4).toString("latin1") === "RIFF" &&
+      b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+const sniffImageType = (buffer) =>
+  IMAGE_SIGNATURES.find((signature) => signature.test(buffer)) || null;
+
+const getMediaUrl = (media) => `/uploads/${media.filename}`;
+
+const formatMedia = (row) => ({
+  id: row.id,
+  url: getMediaUrl(row),
+  originalName: row.original_name,
+  mimeType: row.mime_type,
+  size: row.size,
+  usedBy: row.used_by,
+  createdAt: row.created_at,
+});
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1 },
+  // Cheap early check; the content is sniffed after upload
+  fileFilter: (req, file, cb) => {
+    const isImage = IMAGE_SIGNATURES.some(
+      (signature) => signature.mime === file.mimetype
+    );
+    cb(
+      isImage
+        ? null
+        : new Error("Only JPEG, PNG, GIF or WebP images are allowed"),
+      isImage
+    );
+  },
+});
+
+// Upload an image (field "file"). Stored under public/uploads with a random
+// name and the extension of the type it really is.
+app.post(
+  "/media",
+  requirePermission("blogs.write"),
+  (req, res, next) => {
+    imageUpload.single("file")(req, res, (err) => {
+      if (err?.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          error: `Images can be at most ${MEDIA_MAX_BYTES / 1024 / 1024} MB`,
+        });
+      }
+      if (err) return res.status(400).json({ error: err.message });
+      next();
+    });
+  },
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: "Image file required" });
+    }
+
+    const type = sniffImageType(req.file.buffer);
+    if (!type) {
+      return res
+        .status(400)
+        .json({ error: "File content is not a JPEG, PNG, GIF or WebP image" });
+    }
+
+    const filename = `${crypto.randomUUID()}.${type.ext}`;
+    const filePath = path.join(MEDIA_DIR, filename);
+
+    let media;
+    try {
+      await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+      await fs.promises.writeFile(filePath, req.file.buffer, { flag: "wx" });
+
+      media = await withTransaction(async (conn) => {
+        const [result] = await conn.query("INSERT INTO media SET ?", [
+          {
+            filename,
+            original_name: req.file.originalname.slice(0, 255),
+            mime_type: type.mime,
+            size: req.file.size,
+            uploaded_by: req.user.id,
+          },
+        ]);
+        await recordAudit(conn, req, {
+          action: "media.upload",
+          targetType: "media",
+          targetId: result.insertId,
+          after: { filename, originalName: req.file.originalname },
+        });
+
+        const [rows] = await conn.query("SELECT * FROM media WHERE id = ?", [
+          result.insertId,
+        ]);
+        return rows[0];
+      });
+    } catch (err) {
+      console.error("Media upload error:", err);
+      await fs.promises.unlink(filePath).catch(() => {});
+      return res.status(500).json({ error: "Failed to store image" });
+    }
+
+    res.status(200).json({
+      message: "Image uploaded successfully",
+      media: formatMedia(media),
+    });
+  }
+);
+
+// Media library, newest first, with how many blogs use each item.
+// ?page= and ?pageSize= (max 100) paginate.
+app.get("/media", requirePermission("blogs.write"), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(req.query.pageSize) || 30, 1),
+    100
+  );
+
+  try {
+    const [[{ total }]] = await db.query("SELECT COUNT(*) AS total FROM media");
+    const [rows] = await db.query(
+      `SELECT m.*, (SELECT COUNT(*) FROM blogs b WHERE b.media_id = m.id) AS used_by
+      FROM media m
+      ORDER BY m.id DESC
+      LIMIT ? OFFSET ?`,
+      [pageSize, (page - 1) * pageSize]
+    );
+
+    res
+      .status(200)
+      .json({ media: rows.map(formatMedia), page, pageSize, total });
+  } catch (err) {
+    console.error("Media fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch media" });
+  }
+});
+
+// Delete an image. Images still used as a blog cover can't be deleted.
+app.delete("/media/:id", requirePermission("blogs.write"), async (req, res) => {
+  let media;
+  try {
+    const outcome = await withTransaction(async (conn) => {
+      const [rows] = await conn.query(
+        "SELECT * FROM media WHERE id = ? FOR UPDATE",
+        [req.params.id]
+      );
+      media = rows[0];
+      if (!media) return "not-found";
+
+      const [blogs] = await conn.query(
+        "SELECT id, title FROM blogs WHERE media_id = ?",
+        [media.id]
+      );
+      if (blogs.length > 0) return "in-use";
+
+      await conn.query("DELETE FROM media WHERE id = ?", [media.id]);
+      await recordAudit(conn, req, {
+        action: "media.delete",
+        targetType: "media",
+        targetId: media.id,
+        before: { filename: media.filename, originalName: media.original_name },
+      });
+      return "deleted";
+    });
+
+    if (outcome === "not-found") {
+      return res.status(404).json({ error: "Media not found" });
+    }
+    if (outcome === "in-use") {
+      return res
+        .status(409)
+        .json({ error: "Image is used by a blog, change its cover first" });
+    }
+  } catch (err) {
+    console.error("Media delete error:", err);
+    return res.status(500).json({ error: "Failed to delete media" });
+  }
+
+  // The row is gone, so a leftover file is only wasted space
+  await fs.promises
+    .unlink(path.join(MEDIA_DIR, media.filename))
+    .catch((err) => console.error("Media file delete error:", err.message));
+
+  res.status(200).json({ message: "Media deleted successfully" });
+});
+
+// === METRICS ===
+
+const AVERAGE_DAYS_PER_MONTH = 365.25 / 12;
+
+// Length of a plan term in months, or null when the plan is unknown
+const getPlanMonths = (plan) => {
+  if (!plan.duration_value || !plan.duration_unit) return null;
+  if (plan.duration_unit === "year") return plan.duration_value * 12;
+  if (plan.duration_unit === "month") return plan.duration_value;
+  return plan.duration_value / AVERAGE_DAYS_PER_MONTH;
+};
+
+// Paying customers whose term covers `date`, with what they pay per term.
+// Terms come from the payments ledger; customers from before the ledger
+// count through their subscription row and the price they were quoted.
+const getActiveSubscribers = async (date) => {
+  const [ledger] = await db.query(
+    `SELECT pay.user_id, pay.amount, pay.currency, u.Price,
+      COALESCE(pl.name, u.plan) AS plan, pl.currency AS plan_currency,
+      pl.duration_value, pl.duration_unit
+    FROM payments pay
+    JOIN users u ON u.id = pay.user_id
+    LEFT JOIN plans pl ON pl.id = pay.plan_id
+    WHERE pay.period_start <= ? AND pay.period_end > ?
+    ORDER BY pay.id DESC`,
+    [date, date]
+  );
+  const [legacy] = await db.query(
+    `SELECT u.id AS user_id, NULL AS amount, NULL AS currency, u.Price,
+      COALESCE(pl.name, u.plan) AS plan, pl.currency AS plan_currency,
+      pl.duration_value, pl.duration_unit
+    FROM users u
+    JOIN subscriptions s ON s.user_id = u.id
+    LEFT JOIN plans pl ON pl.id = s.plan_id
+    WHERE s.start_date <= ? AND s.end_date > ?
+      AND COALESCE(pl.is_trial, 0) = 0
+      AND NOT EXISTS (SELECT 1 FROM payments pay WHERE pay.user_id = u.id)`,
+    [date, date]
+  );
+
+  // Latest covering payment per customer
+  const subscribers = new Map();
+  for (const row of [...ledger, ...legacy]) {
+    if (subscribers.has(row.user_id)) continue;
+
+    // Catalog prices used to be 0, so fall back to the quoted Price string
+    const quoted = parsePrice(row.Price);
+    const paid =
+      Number(row.amount) > 0
+        ? { amount: Number(row.amount), currency: row.currency }
+        : quoted && {
+            amount: quoted.amount,
+            currency:
+              quoted.currency || row.plan_currency || row.currency || "USD",
+          };
+    subscribers.set(row.user_id, {
+      plan: row.plan,
+      months: getPlanMonths(row),
+      ...(paid || { amount: null, currency: null }),
+    });
+  }
+  return subscribers;
+};
+
+// Sum { currency, cents } pairs into [{ currency, amount }]
+const totalsByCurrency = (entries) => {
+  const totals = new Map();
+  for (const { currency, cents } of entries) {
+    totals.set(currency, (totals.get(currency) || 0) + cents);
+  }
+  return Array.from(totals, ([currency, cents]) => ({
+    currency,
+    amount: cents / 100,
+  }));
+};
+
+const toRate = (part, whole) =>
+  whole ? Math.round((part / whole) * 10000) / 100 : null;
+
+// Business metrics for ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 12
+// months). Money is never added across currencies. Rates are percentages.
+app.get(
+  "/admin/metrics",
+  requirePermission("metrics.read"),
+  async (req, res) => {
+    const to = req.query.to
+      ? moment(req.query.to, "YYYY-MM-DD", true)
+      : moment().startOf("day");
+    const from = req.query.from
+      ? moment(req.query.from, "YYYY-MM-DD", true)
+      : to.clone().subtract(12, "months");
+    if (!from.isValid() || !to.isValid() || from.isAfter(to)) {
+      return res.status(400).json({
+        error: "from and to must be dates (YYYY-MM-DD), from before to",
+      });
+    }
+    // `to` is inclusive, so measure at the end of that day
+    const start = from.toDate();
+    const end = to.clone().endOf("day").toDate();
+
+    try {
+      const [revenueRows] = await db.query(
+        `SELECT DATE_FORMAT(paid_at, '%Y-%m') AS month, currency,
+        SUM(amount) AS amount, COUNT(*) AS payments
+      FROM payments
+      WHERE paid_at >= ? AND paid_at <= ?
+      GROUP BY month, currency
+      ORDER BY month, currency`,
+        [start, end]
+      );
+
+      const activeAtStart = await getActiveSubscribers(start);
+      const activeAtEnd = await getActiveSubscribers(end);
+
+      const byPlan = new Map();
+      for (const subscriber of activeAtEnd.values()) {
+        byPlan.set(subscriber.plan, (byPlan.get(subscriber.plan) || 0) + 1);
+      }
+
+      const monthly = [];
+      let unpriced = 0;
+      for (const subscriber of activeAtEnd.values()) {
+        if (subscriber.amount === null || !subscriber.months) {
+          unpriced += 1;
+          continue;
+        }
+        monthly.push({
+          currency: subscriber.currency,
+          cents: Math.round((subscriber.amount / subscriber.months) * 100),
+        });
+      }
+
+      const churned = [...activeAtStart.keys()].filter(
+        (userId) => !activeAtEnd.has(userId)
+      ).length;
+      const [[{ cancellations }]] = await db.query(
+        "SELECT COUNT(*) AS cancellations FROM users WHERE cancelled_at >= ? AND cancelled_at <= ?",
+        [start, end]
+      );
+
+      // A trial converts when the customer pays after it started
+      const [[trials]] = await db.query(
+        `SELECT COUNT(*) AS started,
+        SUM(EXISTS (
+          SELECT 1 FROM payments pay
+          WHERE pay.user_id = u.id AND pay.paid_at >= u.trial_started_at
+        )) AS converted
+      FROM users u
+      WHERE u.trial_started_at >= ? AND u.trial_started_at <= ?`,
+        [start, end]
+      );
+
+      res.status(200).json({
+        range: { from: from.format("YYYY-MM-DD"), to: to.format("YYYY-MM-DD") },
+        revenueByMonth: revenueRows.map((row) => ({
+          month: row.month,
+          currency: row.currency,
+          amount: Number(row.amount),
+          payments: row.payments,
+        })),
+        activeSubscribers: {
+          total: activeAtEnd.size,
+          byPlan: Array.from(byPlan, ([plan, count]) => ({ plan, count })),
+        },
+        mrr: totalsByCurrency(monthly),
+        // Subscribers left out of MRR: no known price or plan length
+        mrrUnpricedSubscribers: unpriced,
+        churn: {
+          activeAtStart: activeAtStart.size,
+          churned,
+          rate: toRate(churned, activeAtStart.size),
+          cancellations,
+        },
+        trialConversion: {
+          started: trials.started,
+          converted: Number(trials.converted || 0),
+          rate: toRate(Number(trials.converted || 0), trials.started),
+        },
+      });
+    } catch (err) {
+      console.error("Metrics error:", err);
+      res.status(500).json({ error: "Failed to compute metrics" });
+    }
+  }
+);
+
+// === ADMIN ACCOUNTS ===
+
+const formatAdmin = (row) => ({
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  role: row.role,
+  active: !!row.active,
+  createdAt: row.created_at,
+});
+
+const adminValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    // Stored lower-cased, as /admin-login looks admins up
+    field("email")
+      .trim()
+      .isEmail()
+      .withMessage("Valid email required")
+      .toLowerCase(),
+    field("password")
+      .isLength({ min: 8 })
+      .withMessage("Password must be at least 8 characters"),
+    field("role")
+      .isIn(ADMIN_ROLES)
+      .withMessage(`Role must be one of ${ADMIN_ROLES.join(", ")}`),
+    body("name").optional().trim(),
+    body("active").optional().isBoolean(),
+  ];
+};
+
+// Whether `adminId` is the only active owner left
+const isLastOwner = async (conn, adminId) => {
+  const [owners] = await conn.query(
+    "SELECT id FROM admin WHERE role = 'owner' AND active = 1 FOR UPDATE"
+  );
+  return owners.length === 1 && owners[0].id === Number(adminId);
+};
+
+// List admins (owners only)
+app.get("/admins", requirePermission("admins.manage"), async (req, res) => {
+  try {
+    const [admins] = await db.query(
+      "SELECT id, name, email, role, active, created_at FROM admin ORDER BY id"
+    );
+    res
+      .status(200)
+      .json({ admins: admins.map(formatAdmin), roles: ADMIN_ROLES });
+  } catch (err) {
+    console.error("Admin fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch admins" });
+  }
+});
+
+// Add admin
+app.post(
+  "/admins",
+  requirePermission("admins.manage"),
+  adminValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
+    }
+
+    const { name, email, password, role } = req.body;
+
+    let adminId;
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [existing] = await conn.query(
+          "SELECT id FROM admin WHERE email = ?",
+          [email]
+        );
+        if (existing.length > 0) return "duplicate";
+
+        const [result] = await conn.query(
+          "INSERT INTO admin (name, email, password, role) VALUES (?, ?, ?, ?)",
+          [name || null, email, await bcrypt.hash(password, 10), role]
+        );
+        adminId = result.insertId;
+
+        await recordAudit(conn, req, {
+          action: "admin.create",
+          targetType: "admin",
+          targetId: adminId,
+          after: { name: name || null, email, role },
+        });
+        return "created";
+      });
+
+      if (outcome === "duplicate") {
+        return res
+          .status(409)
+          .json({ error: "Admin with this email already exists" });
+      }
+    } catch (err) {
+      console.error("Admin insert error:", err);
+      return res.status(500).json({ error: "Failed to add admin" });
+    }
+
+    res.status(200).json({ message: "Admin added successfully", adminId });
+  }
+);
+
+// Update admin. Changing the password, role or active flag ends the admin's
+// current sessions.
+app.put(
+  "/admins/:id",
+  requirePermission("admins.manage"),
+  adminValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
+    }
+
+    const adminId = req.params.id;
+    const { name, email, password, role, active } = req.body;
+    const isActive =
+      active === undefined ? undefined : active === true || active === "true";
+
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [results] = await conn.query(
+          "SELECT id, name, email, role, active FROM admin WHERE id = ? FOR UPDATE",
+          [adminId]
+        );
+        const before = results[0];
+        if (!before) return "not-found";
+
+        const demotesOwner =
+          before.role === "owner" &&
+          ((role && role !== "owner") || isActive === false);
+        if (demotesOwner && (await isLastOwner(conn, adminId))) {
+          return "last-owner";
+        }
+
+        if (email && email !== before.email) {
+          const [existing] = await conn.query(
+            "SELECT id FROM admin WHERE email = ? AND id <> ?",
+            [email, adminId]
+          );
+          if (existing.length > 0) return "duplicate";
+        }
+
+        const changes = {};
+        if (name !== undefined) changes.name = name;
+        if (email !== undefined) changes.email = email;
+        if (role !== undefined) changes.role = role;
+        if (isActive !== undefined) changes.active = isActive ? 1 : 0;
+        if (password !== undefined) {
+          changes.password = await bcrypt.hash(password, 10);
+        }
+        if (Object.keys(changes).length === 0) return "nothing";
+
+        await conn.query("UPDATE admin SET ? WHERE id = ?", [changes, adminId]);
+
+        if (
+          password !== undefined ||
+          (role !== undefined && role !== before.role) ||
+          isActive === false
+        ) {
+          await revokeAdminSessions(conn, adminId);
+        }
+
+        const { password: omitted, ...after } = changes;
+        await recordAudit(conn, req, {
+          action: "admin.update",
+          targetType: "admin",
+          targetId: adminId,
+          before: formatAdmin(before),
+          after:
+            password !== undefined ? { ...after, password: "changed" } : after,
+        });
+        return "updated";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+      if (outcome === "nothing") {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+      if (outcome === "duplicate") {
+        return res
+          .status(409)
+          .json({ error: "Admin with this email already exists" });
+      }
+      if (outcome === "last-owner") {
+        return res
+          .status(409)
+          .json({ error: "At least one active owner is required" });
+      }
+    } catch (err) {
+      console.error("Admin update error:", err);
+      return res.status(500).json({ error: "Failed to update admin" });
+    }
+
+    res.status(200).json({ message: "Admin updated successfully" });
+  }
+);
+
+// Delete admin
+app.delete(
+  "/admins/:id",
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    const adminId = req.params.id;
+
+    if (Number(adminId) === req.user.id) {
+      return res
+        .status(409)
+        .json({ error: "You cannot delete your own account" });
+    }
+
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [results] = await conn.query(
+          "SELECT id, name, email, role, active FROM admin WHERE id = ? FOR UPDATE",
+          [adminId]
+        );
+        const admin = results[0];
+        if (!admin) return "not-found";
+        if (admin.role === "owner" && (await isLastOwner(conn, adminId))) {
+          return "last-owner";
+        }
+
+        // Refresh tokens go with the account (ON DELETE CASCADE)
+        await conn.query("DELETE FROM admin WHERE id = ?", [adminId]);
+        await recordAudit(conn, req, {
+          action: "admin.delete",
+          targetType: "admin",
+          targetId: adminId,
+          before: formatAdmin(admin),
+        });
+        return "deleted";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+      if (outcome === "last-owner") {
         return res
           .status(409)
-          .json({ error: "Blog with this title already exists" });
+          .json({ error: "At least one active owner is required" });
+      }
+    } catch (err) {
+      console.error("Admin delete error:", err);
+      return res.status(500).json({ error: "Failed to delete admin" });
+    }
+
+    res.status(200).json({ message: "Admin deleted successfully" });
+  }
+);
+
+// Sign an admin out everywhere, e.g. after a lost laptop
+app.post(
+  "/admins/:id/revoke-sessions",
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    const adminId = req.params.id;
+
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [results] = await conn.query(
+          "SELECT id FROM admin WHERE id = ? FOR UPDATE",
+          [adminId]
+        );
+        if (results.length === 0) return "not-found";
+
+        await revokeAdminSessions(conn, adminId);
+        await recordAudit(conn, req, {
+          action: "admin.revoke-sessions",
+          targetType: "admin",
+          targetId: adminId,
+        });
+        return "revoked";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+    } catch (err) {
+      console.error("Session revoke error:", err);
+      return res.status(500).json({ error: "Failed to revoke sessions" });
+    }
+
+    res.status(200).json({ message: "Sessions revoked" });
+  }
+);
+
+// Turn off 2FA for an admin who lost their authenticator and recovery codes
+app.post(
+  "/admins/:id/reset-2fa",
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    const adminId = req.params.id;
+
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [result] = await conn.query(
+          `UPDATE admin SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL
+          WHERE id = ?`,
+          [adminId]
+        );
+        if (result.affectedRows === 0) return "not-found";
+
+        await conn.query(
+          "DELETE FROM admin_recovery_codes WHERE admin_id = ?",
+          [adminId]
+        );
+        await recordAudit(conn, req, {
+          action: "admin.reset-2fa",
+          targetType: "admin",
+          targetId: adminId,
+        });
+        return "reset";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+    } catch (err) {
+      console.error("2FA reset error:", err);
+      return res.status(500).json({ error: "Failed to reset 2FA" });
+    }
+
+    res.status(200).json({ message: "Two-factor authentication turned off" });
+  }
+);
+
+// === TWO-FACTOR AUTHENTICATION ===
+
+// Step 1 of enrollment: a new secret and the otpauth:// URI to show as a QR
+// code. 2FA stays off until a code from the app is confirmed.
+app.post("/admin/2fa/setup", verifyToken, async (req, res) => {
+  const secret = totp.generateSecret();
+
+  try {
+    const [result] = await db.query(
+      "UPDATE admin SET totp_secret = ?, totp_last_step = NULL WHERE id = ? AND totp_enabled = 0",
+      [secret, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already on" });
+    }
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    return res.status(500).json({ error: "Failed to start 2FA setup" });
+  }
+
+  res.status(200).json({
+    secret,
+    otpauthUri: totp.otpauthUri({
+      secret,
+      account: req.user.email,
+      issuer: process.env.TOTP_ISSUER || "America IPTV",
+    }),
+  });
+});
+
+// Step 2 of enrollment: confirm a code from the app. Returns the recovery
+// codes, which are only ever shown here.
+app.post("/admin/2fa/enable", verifyToken, async (req, res) => {
+  let recoveryCodes;
+  try {
+    const outcome = await withTransaction(async (conn) => {
+      const [results] = await conn.query(
+        "SELECT id, totp_secret, totp_enabled, totp_last_step FROM admin WHERE id = ? FOR UPDATE",
+        [req.user.id]
+      );
+      const admin = results[0];
+      if (admin.totp_enabled) return "already-on";
+      if (!admin.totp_secret) return "no-setup";
+
+      if (!(await verifySecondFactor(conn, admin, { code: req.body.code }))) {
+        return "invalid";
+      }
+
+      await conn.query("UPDATE admin SET totp_enabled = 1 WHERE id = ?", [
+        admin.id,
+      ]);
+      recoveryCodes = await createRecoveryCodes(conn, admin.id);
+      await recordAudit(conn, req, {
+        action: "admin.enable-2fa",
+        targetType: "admin",
+        targetId: admin.id,
+      });
+      return "enabled";
+    });
+
+    if (outcome === "already-on") {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already on" });
+    }
+    if (outcome === "no-setup") {
+      return res.status(400).json({ error: "Start with /admin/2fa/setup" });
+    }
+    if (outcome === "invalid") {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    return res.status(500).json({ error: "Failed to turn on 2FA" });
+  }
+
+  res.status(200).json({
+    message: "Two-factor authentication turned on",
+    recoveryCodes,
+  });
+});
+
+// Replace the recovery codes (requires a current code)
+app.post("/admin/2fa/recovery-codes", verifyToken, async (req, res) => {
+  let recoveryCodes;
+  try {
+    const outcome = await withTransaction(async (conn) => {
+      const [results] = await conn.query(
+        "SELECT id, totp_secret, totp_enabled, totp_last_step FROM admin WHERE id = ? FOR UPDATE",
+        [req.user.id]
+      );
+      const admin = results[0];
+      if (!admin.totp_enabled) return "off";
+
+      if (!(await verifySecondFactor(conn, admin, { code: req.body.code }))) {
+        return "invalid";
       }
 
-      // Step 2: Insert the blog
-      connection.query(
-        "INSERT INTO blogs (title, image_url, intro) VALUES (?, ?, ?)",
-        [title, image, intro],
-        (err, result) => {
-          if (err) {
-            console.error(err);
-            return res.status(500).json({ error: "Failed to insert blog" });
-          }
+      recoveryCodes = await createRecoveryCodes(conn, admin.id);
+      return "created";
+    });
 
-          const blogId = result.insertId;
+    if (outcome === "off") {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is off" });
+    }
+    if (outcome === "invalid") {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+  } catch (err) {
+    console.error("Recovery code error:", err);
+    return res.status(500).json({ error: "Failed to create recovery codes" });
+  }
 
-          // Step 3: Insert blog sections
-          const sectionValues = sections.map((section) => [
-            blogId,
-            section.heading,
-            section.content,
-          ]);
+  res.status(200).json({ recoveryCodes });
+});
 
-          connection.query(
-            "INSERT INTO blog_sections (blog_id, heading, content) VALUES ?",
-            [sectionValues],
-            (err) => {
-              if (err) {
-                console.error(err);
-                return res
-                  .status(500)
-                  .json({ error: "Failed to insert sections" });
-              }
-
-              res.status(200).json({
-                message: "Blog and sections added successfully",
-                blogId: blogId,
-              });
-            }
-          );
-        }
+// Turn 2FA off (requires the password and a code or recovery code)
+app.post("/admin/2fa/disable", verifyToken, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (conn) => {
+      const [results] = await conn.query(
+        "SELECT * FROM admin WHERE id = ? FOR UPDATE",
+        [req.user.id]
+      );
+      const admin = results[0];
+      if (!admin.totp_enabled) return "off";
+
+      if (
+        !password ||
+        !(await bcrypt.compare(String(password), admin.password)) ||
+        !(await verifySecondFactor(conn, admin, { code, recoveryCode }))
+      ) {
+        return "invalid";
+      }
+
+      await conn.query(
+        `UPDATE admin SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL
+        WHERE id = ?`,
+        [admin.id]
       );
+      await conn.query("DELETE FROM admin_recovery_codes WHERE admin_id = ?", [
+        admin.id,
+      ]);
+      await recordAudit(conn, req, {
+        action: "admin.disable-2fa",
+        targetType: "admin",
+        targetId: admin.id,
+      });
+      return "disabled";
+    });
+
+    if (outcome === "off") {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is off" });
+    }
+    if (outcome === "invalid") {
+      return res
+        .status(400)
+        .json({ error: "Invalid password or authentication code" });
     }
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    return res.status(500).json({ error: "Failed to turn off 2FA" });
+  }
+
+  res.status(200).json({ message: "Two-factor authentication turned off" });
+});
+
+// === CUSTOMER PORTAL ===
+
+// Step 1 of the magic-link login: email a short-lived sign-in link
+app.post("/customer/login", [body("email").isEmail()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: "Valid email required" });
+  }
+
+  const { email } = req.body;
+  // Same answer whether or not the email exists, so addresses can't be probed
+  const response = {
+    message: "If this email is registered, a sign-in link has been sent",
+  };
+
+  let user;
+  try {
+    const [results] = await db.query(
+      "SELECT id, name, email, language, country FROM users WHERE email = ?",
+      [email]
+    );
+    user = results[0];
+  } catch (err) {
+    console.error("Customer login error:", err);
+    return res.status(500).json({ error: "Database error" });
+  }
+
+  if (!user) return res.status(200).json(response);
+
+  const magicToken = jwt.sign(
+    { sub: user.id, email: user.email },
+    process.env.CUSTOMER_JWT_SECRET,
+    { audience: "customer-magic-link", expiresIn: "15m" }
   );
+  const link = `${PORTAL_URL}/portal/verify?token=${magicToken}`;
+
+  try {
+    await mailer.queue(db, "magic-link", {
+      to: user.email,
+      language: mailer.pickLanguage(user),
+      vars: { name: user.name, link },
+    });
+  } catch (err) {
+    console.error("Magic link queue error:", err);
+    return res.status(500).json({ error: "Database error" });
+  }
+
+  res.status(200).json(response);
 });
 
-const sendReminderEmails = async () => {
-  const query =
-    "SELECT id, name, email, plan,phone, updated_at FROM users WHERE invoice_status = 'paid'";
+// Step 2: exchange the magic-link token for a customer session token
+app.post("/customer/verify", [body("token").notEmpty()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: "Token required" });
+  }
 
-  connection.query(query, async (err, users) => {
-    if (err) {
-      console.error("DB error:", err);
-      return;
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.token, process.env.CUSTOMER_JWT_SECRET, {
+      audience: "customer-magic-link",
+    });
+  } catch (err) {
+    return res.status(400).json({ error: "Invalid or expired link" });
+  }
+
+  try {
+    // Signing in stamps portal_login_at, which invalidates this and older links
+    const [result] = await db.query(
+      `UPDATE users SET portal_login_at = NOW()
+      WHERE id = ? AND (portal_login_at IS NULL OR portal_login_at < FROM_UNIXTIME(?))`,
+      [decoded.sub, decoded.iat]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({ error: "Invalid or expired link" });
+    }
+  } catch (err) {
+    console.error("Customer verify error:", err);
+    return res.status(500).json({ error: "Database error" });
+  }
+
+  const token = jwt.sign(
+    { sub: decoded.sub, email: decoded.email },
+    process.env.CUSTOMER_JWT_SECRET,
+    { audience: "customer-session", expiresIn: "1d" }
+  );
+
+  res.status(200).json({ message: "Login successful", token });
+});
+
+const getCustomer = async (id) => {
+  const [results] = await db.query(
+    `SELECT u.id, u.name, u.email, u.phone, u.plan, u.plan_id, u.Price, u.invoice,
+      u.invoice_status, s.start_date, s.end_date, p.is_trial
+    FROM users u
+    LEFT JOIN subscriptions s ON s.user_id = u.id
+    LEFT JOIN plans p ON p.id = u.plan_id
+    WHERE u.id = ?`,
+    [id]
+  );
+  return results[0];
+};
+
+// Current plan, invoice and term of the signed-in customer
+app.get("/customer/subscription", verifyCustomerToken, async (req, res) => {
+  let customer;
+  try {
+    customer = await getCustomer(req.customer.id);
+  } catch (err) {
+    console.error("Customer fetch error:", err);
+    return res.status(500).json({ error: "Database error" });
+  }
+
+  if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+  const daysRemaining = customer.end_date
+    ? Math.max(
+        moment(customer.end_date)
+          .startOf("day")
+          .diff(moment().startOf("day"), "days"),
+        0
+      )
+    : null;
+
+  res.status(200).json({
+    customer: {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+    },
+    subscription: {
+      plan: customer.plan,
+      planId: customer.plan_id,
+      price: customer.Price,
+      invoice: customer.invoice,
+      status: customer.invoice_status,
+      startDate: customer.start_date,
+      endDate: customer.end_date,
+      daysRemaining,
+    },
+  });
+});
+
+// Paid invoices from the ledger, plus the open invoice if one is awaiting payment
+app.get("/customer/invoices", verifyCustomerToken, async (req, res) => {
+  let customer, payments;
+  try {
+    customer = await getCustomer(req.customer.id);
+    [payments] = await db.query(
+      `SELECT pay.invoice, pay.amount, pay.currency, pay.period_start, pay.period_end,
+        pay.paid_at, p.name AS plan
+      FROM payments pay
+      LEFT JOIN plans p ON p.id = pay.plan_id
+      WHERE pay.user_id = ?
+      ORDER BY pay.paid_at DESC`,
+      [req.customer.id]
+    );
+  } catch (err) {
+    console.error("Invoice history error:", err);
+    return res.status(500).json({ error: "Database error" });
+  }
+
+  if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+  const invoices = payments.map((payment) => ({
+    invoice: payment.invoice,
+    plan: payment.plan,
+    price: formatPrice(payment.amount, payment.currency),
+    status: "paid",
+    periodStart: payment.period_start,
+    periodEnd: payment.period_end,
+    paidAt: payment.paid_at,
+  }));
+
+  // The open invoice. The expiry sweep also moves pending customers to
+  // expired once their term ends; their invoice can still be paid. (Expired
+  // trials and paid-up terms have nothing left to pay.)
+  const open =
+    customer.invoice_status === "pending" ||
+    (customer.invoice_status === "expired" &&
+      !customer.is_trial &&
+      !payments.some((payment) => payment.invoice === customer.invoice));
+  if (open) {
+    invoices.unshift({
+      invoice: customer.invoice,
+      plan: customer.plan,
+      price: customer.Price,
+      status: "pending",
+      periodStart: null,
+      periodEnd: null,
+      paidAt: null,
+    });
+  }
+
+  res.status(200).json({ invoices });
+});
+
+// Request a renewal, optionally switching plan. Issues a new pending invoice;
+// the subscription is only extended once that invoice is paid.
+app.post(
+  "/customer/renewal",
+  verifyCustomerToken,
+  [body("planId").optional().isInt({ min: 1 }).withMessage("Invalid plan")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res
+        .status(400)
+        .json({ error: "Invalid data", errors: errors.array() });
     }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // remove time component
+    let customer, renewal;
+    try {
+      const outcome = await withTransaction(async (conn) => {
+        const [results] = await conn.query(
+          `SELECT u.id, u.name, u.email, u.language, u.country, u.price_country, u.plan_id,
+            u.invoice, u.invoice_status, s.end_date
+          FROM users u
+          LEFT JOIN subscriptions s ON s.user_id = u.id
+          WHERE u.id = ?
+          FOR UPDATE`,
+          [req.customer.id]
+        );
+        customer = results[0];
+        if (!customer) return "not-found";
 
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
+        const [plans] = await conn.query(
+          "SELECT * FROM plans WHERE id = ? AND active = 1 AND is_trial = 0",
+          [req.body.planId || customer.plan_id]
+        );
+        const plan = plans[0];
+        if (!plan) return "no-plan";
+
+        // An open invoice is re-priced for the new plan instead of replaced
+        const reuseInvoice = customer.invoice_status === "pending";
+        if (
+          !reuseInvoice &&
+          !canTransition(customer.invoice_status, "pending")
+        ) {
+          return "illegal";
+        }
+
+        // Priced for the country the customer signed up from
+        const priceCountry = customer.price_country || customer.country;
+        const quote = await getLocalizedPrice(conn, plan, priceCountry);
+        renewal = {
+          invoice: customer.invoice,
+          plan: plan.name,
+          Price: quote.formatted,
+        };
+
+        // Coupons only discount the invoice they were redeemed on
+        await conn.query(
+          `UPDATE users SET plan = ?, plan_id = ?, Price = ?, price_amount = ?, price_currency = ?,
+            price_country = ?, coupon_code = NULL, discount_amount = NULL
+          WHERE id = ?`,
+          [
+            renewal.plan,
+            plan.id,
+            renewal.Price,
+            quote.amount,
+            quote.currency,
+            priceCountry,
+            customer.id,
+          ]
+        );
+
+        if (!reuseInvoice) {
+          renewal.invoice = await nextInvoiceNumber(conn);
+          await setInvoiceStatus(conn, customer.id, "pending");
+          await conn.query(
+            "UPDATE users SET invoice = ?, invoice_issued_at = NOW(), invoice_due_at = ? WHERE id = ?",
+            [renewal.invoice, getInvoiceDueDate(customer.end_date), customer.id]
+          );
+        }
+
+        await notifier.notify(conn, customer.id, "renewal-invoice", {
+          vars: {
+            name: customer.name,
+            invoice: renewal.invoice,
+            plan: renewal.plan,
+            price: renewal.Price,
+            whatsappUrl: getWhatsappInvoiceUrl(renewal.invoice),
+          },
+          attachments: [await getInvoiceAttachment(conn, renewal.invoice)],
+        });
+
+        // Let the team know
+        await mailer.queue(conn, "renewal-requested", {
+          to: process.env.EMAIL_USER,
+          vars: {
+            name: customer.name,
+            email: customer.email,
+            plan: renewal.plan,
+            price: renewal.Price,
+            invoice: renewal.invoice,
+          },
+        });
+        return "issued";
+      });
+
+      if (outcome === "not-found") {
+        return res.status(404).json({ error: "Customer not found" });
+      }
+      if (outcome === "no-plan") {
+        return res.status(400).json({ error: "Plan not available" });
+      }
+      if (outcome === "illegal") {
+        return res.status(409).json({
+          error: `A renewal can't be requested while the invoice is "${customer.invoice_status}"`,
+        });
+      }
+    } catch (err) {
+      console.error("Renewal request error:", err);
+      return res.status(500).json({ error: "Renewal request failed" });
+    }
+
+    res.status(200).json({
+      invoice: renewal.invoice,
+      plan: renewal.plan,
+      Price: renewal.Price,
+      message: "Renewal invoice generated and email queued",
+    });
+  }
+);
+
+// Customer-initiated cancellation
+app.post("/customer/cancel", verifyCustomerToken, async (req, res) => {
+  let customer;
+  try {
+    const outcome = await withTransaction(async (conn) => {
+      const [results] = await conn.query(
+        "SELECT id, name, email, language, country, invoice_status FROM users WHERE id = ? FOR UPDATE",
+        [req.customer.id]
+      );
+      customer = results[0];
+      if (!customer) return "not-found";
+      if (!canTransition(customer.invoice_status, "cancelled")) {
+        return "illegal";
+      }
+
+      const reason = req.body.reason || "Cancelled by customer";
+      await setInvoiceStatus(conn, customer.id, "cancelled", reason);
+      await recordAudit(conn, req, {
+        action: "user.cancel",
+        targetType: "user",
+        targetId: customer.id,
+        before: { invoice_status: customer.invoice_status },
+        after: { invoice_status: "cancelled", cancellation_reason: reason },
+      });
+
+      await notifier.notify(conn, customer.id, "cancellation", {
+        vars: { name: customer.name },
+      });
+      return "cancelled";
+    });
+
+    if (outcome === "not-found") {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+    if (outcome === "illegal") {
+      return res
+        .status(409)
+        .json({ error: "Subscription is already cancelled" });
+    }
+  } catch (err) {
+    console.error("Customer cancel error:", err);
+    return res.status(500).json({ error: "Cancellation failed" });
+  }
+
+  res.status(200).json({ message: "Subscription cancelled" });
+});
+
+// The signed-in customer's referral code and the free days it has earned
+app.get("/customer/referrals", verifyCustomerToken, async (req, res) => {
+  try {
+    const [users] = await db.query(
+      "SELECT referral_code FROM users WHERE id = ?",
+      [req.customer.id]
+    );
+    if (users.length === 0) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+
+    let code = users[0].referral_code;
+    if (!code) code = await assignReferralCode(db, req.customer.id);
+
+    const [credits] = await db.query(
+      `SELECT c.days, c.applied_at, c.created_at, u.name AS referred_name
+      FROM referral_credits c
+      JOIN users u ON u.id = c.referred_id
+      WHERE c.referrer_id = ?
+      ORDER BY c.id DESC`,
+      [req.customer.id]
+    );
+    const [[{ pending }]] = await db.query(
+      `SELECT COUNT(*) AS pending FROM users u
+      WHERE u.referred_by = ?
+        AND NOT EXISTS (SELECT 1 FROM referral_credits c WHERE c.referred_id = u.id)`,
+      [req.customer.id]
+    );
+
+    res.status(200).json({
+      code,
+      rewardDays: REFERRAL_REWARD_DAYS,
+      // Referred customers who haven't paid yet
+      pending,
+      credits: credits.map((credit) => ({
+        // First names only: referrers shouldn't learn more about the people
+        // who used their code
+        name: String(credit.referred_name).split(" ")[0],
+        days: credit.days,
+        earnedAt: credit.created_at,
+        appliedAt: credit.applied_at,
+      })),
     });
+  } catch (err) {
+    console.error("Referral fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch referrals" });
+  }
+});
+
+// The signed-in customer's notification channels
+app.get("/customer/notifications", verifyCustomerToken, async (req, res) => {
+  try {
+    const preferences = await notifier.getPreferences(db, req.customer.id);
+    res.status(200).json({ preferences });
+  } catch (err) {
+    console.error("Notification preferences fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch preferences" });
+  }
+});
+
+// Choose channels or opt out of them, e.g. { "whatsapp": true, "email": false }
+app.put("/customer/notifications", verifyCustomerToken, async (req, res) => {
+  const { changes, error } = getChannelChanges(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const preferences = await updateNotificationPreferences(
+      req,
+      req.customer.id,
+      changes
+    );
+    if (!preferences) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+    res.status(200).json({ message: "Preferences updated", preferences });
+  } catch (err) {
+    console.error("Notification preferences update error:", err);
+    res.status(500).json({ error: "Failed to update preferences" });
+  }
+});
+
+// Renewal reminders go out REMINDER_OFFSETS days before a subscription ends
+// (0 is the end date itself, negative offsets are after it has ended), at
+// REMINDER_TIME in REMINDER_TIMEZONE. reminders_sent keeps each reminder to
+// once per billing period. One missed through downtime is still sent up to
+// REMINDER_CATCHUP_DAYS late, but only the most recent one due.
+const REMINDER_OFFSETS = (process.env.REMINDER_OFFSETS || "7,3,1,0,-1")
+  .split(",")
+  .map((offset) => parseInt(offset))
+  .filter((offset) => !isNaN(offset))
+  .sort((a, b) => a - b);
+const REMINDER_TIMEZONE =
+  process.env.REMINDER_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+const [REMINDER_HOUR, REMINDER_MINUTE] = (process.env.REMINDER_TIME || "09:00")
+  .split(":")
+  .map(Number);
+const REMINDER_CATCHUP_DAYS = parseInt(
+  process.env.REMINDER_CATCHUP_DAYS || "3"
+);
+
+// Calendar date ("2025-04-04") and minutes past midnight in REMINDER_TIMEZONE
+const getReminderClock = (date = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: REMINDER_TIMEZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
 
-    const upcomingPayments = [];
+// Whole days between two calendar dates; DST changes don't affect it
+const daysBetween = (from, to) =>
+  Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000
+  );
+
+// The offset of the reminder due `daysLeft` days before the end date, if any
+const getDueReminder = (daysLeft) =>
+  REMINDER_OFFSETS.find(
+    (offset) => offset >= daysLeft && offset - daysLeft <= REMINDER_CATCHUP_DAYS
+  );
+
+// For the summary email: "3 days before expiry", "on the expiry date", ...
+const describeReminder = (offset) => {
+  if (offset === 0) return "on the expiry date";
+  const days = `${Math.abs(offset)} day${Math.abs(offset) === 1 ? "" : "s"}`;
+  return offset > 0 ? `${days} before expiry` : `${days} after expiry`;
+};
+
+const sendReminderEmails = async () => {
+  if (REMINDER_OFFSETS.length === 0) return;
+  const today = getReminderClock().day;
+
+  try {
+    // Only subscriptions whose end date is within reach of an offset
+    const [users] = await db.query(
+      `SELECT u.id, u.name, u.email, u.plan, u.phone, u.language, u.country,
+        s.end_date, DATE_FORMAT(s.end_date, '%Y-%m-%d') AS end_day
+      FROM users u
+      JOIN subscriptions s ON s.user_id = u.id
+      WHERE u.invoice_status IN ('paid', 'expired')
+        AND s.end_date >= ? + INTERVAL ? DAY
+        AND s.end_date < ? + INTERVAL ? DAY`,
+      [
+        today,
+        REMINDER_OFFSETS[0] - REMINDER_CATCHUP_DAYS,
+        today,
+        REMINDER_OFFSETS[REMINDER_OFFSETS.length - 1] + 1,
+      ]
+    );
 
+    const sent = [];
     for (const user of users) {
-      const { name, email, plan, updated_at, phone } = user;
-      const startDate = new Date(updated_at);
-      startDate.setHours(0, 0, 0, 0); // remove time component from updated_at
-
-      const endDate = new Date(startDate);
-
-      // Calculate end date based on plan
-      if (plan.includes("Monthly")) {
-        endDate.setMonth(endDate.getMonth() + 1);
-      } else if (plan.includes("6-Month")) {
-        endDate.setMonth(endDate.getMonth() + 6);
-      } else if (plan.includes("Yearly")) {
-        endDate.setFullYear(endDate.getFullYear() + 1);
-      }
-
-      // Check if reminder needs to be sent (2 days before the end date)
-      const diffInTime = endDate.getTime() - today.getTime();
-      const diffInDays = diffInTime / (1000 * 3600 * 24);
-
-      if (diffInDays === 2) {
-        // Store user info for summary email
-        upcomingPayments.push({
-          name,
-          email,
-          plan,
-          dueDate: endDate.toDateString(),
-          phone,
-        });
-
-        // Send reminder email to user
-        const subject = "⏰ Subscription Renewal Reminder";
-        const html = `
-          <h3>Hi ${name},</h3>
-          <p>This is a friendly reminder that your subscription is ending on <strong>${endDate.toDateString()}</strong>.</p>
-          <p>To avoid service interruption, please renew your plan in time.</p>
-          <p>Thanks,<br/>America IPTV</p>
-        `;
-
-        try {
-          const info = await transporter.sendMail({
-            from: `"America IPTV" <${process.env.EMAIL_USER}>`,
-            to: email,
-            subject,
-            html,
-          });
-          console.log(`Reminder sent to ${email} | ${info.response}`);
-        } catch (emailErr) {
-          console.error(`Failed to send reminder to ${email}:`, emailErr);
-        }
-      }
-    }
-
-    // Now send summary email to yourself
-    if (upcomingPayments.length > 0) {
-      const summaryHtml = `
-        <h2>📅 Upcoming Payments in 2 Days</h2>
-        <ul>
-          ${upcomingPayments
-            .map(
-              (u) =>
-                `<li><strong>Name:</strong> ${u.name}<br/>
-                     <strong>Email:</strong> ${u.email}<br/>
-                     <strong>Plan:</strong> ${u.plan}<br/>
-                     <strong>Due Date:</strong> ${u.dueDate}<br/>
-                     <strong>Phone no:</strong> ${u.phone}</li><br/>`
-            )
-            .join("")}
-        </ul>
-      `;
+      const offset = getDueReminder(daysBetween(today, user.end_day));
+      if (offset === undefined) continue;
 
-      try {
-        const summaryInfo = await transporter.sendMail({
-          from: `"America IPTV" <${process.env.EMAIL_USER}>`,
-          to: process.env.EMAIL_USER, // send to yourself
-          subject: "🔔 Reminder: Upcoming Subscription Payments (in 2 days)",
-          html: summaryHtml,
+      const language = mailer.pickLanguage(user);
+      const queued = await withTransaction(async (conn) => {
+        const [result] = await conn.query(
+          "INSERT IGNORE INTO reminders_sent (user_id, end_date, offset_days) VALUES (?, ?, ?)",
+          [user.id, user.end_day, offset]
+        );
+        if (result.affectedRows === 0) return false; // already sent
+
+        await notifier.notify(
+          conn,
+          user.id,
+          offset < 0 ? "renewal-overdue" : "renewal-reminder",
+          {
+            vars: {
+              name: user.name,
+              endDate: mailer.formatDate(user.end_date, language),
+            },
+          }
+        );
+        return true;
+      }).catch((err) => {
+        console.error(`Failed to queue reminder to ${user.email}:`, err);
+        return false;
+      });
+
+      if (queued) {
+        sent.push({
+          name: user.name,
+          email: user.email,
+          plan: user.plan,
+          dueDate: mailer.formatDate(user.end_date),
+          reminder: describeReminder(offset),
+          phone: user.phone,
         });
-        console.log(`Summary email sent to self | ${summaryInfo.response}`);
-      } catch (summaryErr) {
-        console.error("Failed to send summary email to self:", summaryErr);
       }
     }
-  });
+
+    // Summary of today's reminders for ourselves
+    if (sent.length > 0) {
+      await mailer.queue(db, "reminder-summary", {
+        to: process.env.EMAIL_USER,
+        vars: { payments: sent },
+      });
+      console.log(`Queued ${sent.length} renewal reminder(s)`);
+    }
+  } catch (err) {
+    console.error("Renewal reminder error:", err);
+  }
+};
+
+// Forget logged-out access tokens and refresh tokens once they have expired,
+// and login attempts once they no longer count towards a lockout
+const cleanupAdminTokens = async () => {
+  try {
+    await db.query("DELETE FROM admin_revoked_tokens WHERE expires_at < NOW()");
+    await db.query(
+      "DELETE FROM admin_login_attempts WHERE created_at < NOW() - INTERVAL 1 DAY"
+    );
+    await db.query(
+      "DELETE FROM admin_refresh_tokens WHERE expires_at < NOW() - INTERVAL 1 DAY"
+    );
+  } catch (err) {
+    console.error("Token cleanup error:", err);
+  }
+};
+
+// Move customers whose term ended before today to 'expired'
+const expireSubscriptions = async () => {
+  try {
+    const [result] = await db.query(`
+      UPDATE users u
+      JOIN subscriptions s ON s.user_id = u.id
+      SET u.invoice_status = 'expired'
+      WHERE u.invoice_status IN ('trial', 'pending', 'paid')
+        AND s.end_date < CURDATE()
+    `);
+    if (result.affectedRows > 0) {
+      console.log(`Expired ${result.affectedRows} subscription(s)`);
+    }
+  } catch (err) {
+    console.error("Expiry sweep error:", err);
+  }
 };
-// Schedule the function to run every day at 9:00 AM
-cron.schedule("0 9 * * *", () => {
+
+// Send renewal reminders daily at REMINDER_TIME, and at startup when that time
+// has already passed today, to catch up after downtime
+cron.schedule(
+  `${REMINDER_MINUTE} ${REMINDER_HOUR} * * *`,
+  () => {
+    sendReminderEmails();
+  },
+  { timezone: REMINDER_TIMEZONE }
+);
+if (getReminderClock().minutes >= REMINDER_HOUR * 60 + REMINDER_MINUTE) {
   sendReminderEmails();
+}
+
+// Customers cancelled more than RETENTION_DAYS ago are anonymized (the default,
+// which keeps the payments ledger intact) or, with RETENTION_MODE=delete,
+// removed together with their subscription and payments.
+const purgeCancelledUsers = async () => {
+  const retentionDays = parseInt(process.env.RETENTION_DAYS || "365");
+  const mode = process.env.RETENTION_MODE === "delete" ? "delete" : "anonymize";
+
+  try {
+    const [users] = await db.query(
+      `SELECT id, email FROM users
+      WHERE invoice_status = 'cancelled'
+        AND cancelled_at < NOW() - INTERVAL ? DAY
+        AND anonymized_at IS NULL`,
+      [retentionDays]
+    );
+
+    for (const user of users) {
+      await withTransaction(async (conn) => {
+        // Queued and sent messages hold the address, phone and name too
+        await conn.query("DELETE FROM email_outbox WHERE recipient = ?", [
+          user.email,
+        ]);
+        await conn.query("DELETE FROM notifications WHERE user_id = ?", [
+          user.id,
+        ]);
+        await conn.query(
+          "UPDATE webhook_events SET payload = NULL WHERE user_id = ?",
+          [user.id]
+        );
+
+        await recordAudit(conn, null, {
+          action: mode === "delete" ? "user.purge" : "user.anonymize",
+          targetType: "user",
+          targetId: user.id,
+        });
+
+        if (mode === "delete") {
+          await conn.query("DELETE FROM payments WHERE user_id = ?", [user.id]);
+          await conn.query("DELETE FROM subscriptions WHERE user_id = ?", [
+            user.id,
+          ]);
+          await conn.query("DELETE FROM users WHERE id = ?", [user.id]);
+        } else {
+          await conn.query(
+            `UPDATE users
+            SET name = 'Deleted customer', email = CONCAT('deleted-', id, '@invalid'),
+              phone = CONCAT('deleted-', id), cancellation_reason = NULL,
+              country = NULL, language = NULL, portal_login_at = NULL, anonymized_at = NOW()
+            WHERE id = ?`,
+            [user.id]
+          );
+        }
+      });
+    }
+
+    if (users.length > 0) {
+      console.log(`Retention purge: ${mode}d ${users.length} customer(s)`);
+    }
+  } catch (err) {
+    console.error("Retention purge error:", err);
+  }
+};
+
+// Run the retention purge daily (03:30 by default)
+cron.schedule(process.env.PURGE_CRON || "30 3 * * *", () => {
+  purgeCancelledUsers();
+});
+
+// Publish scheduled blogs whose time has come
+const publishScheduledBlogs = async () => {
+  try {
+    const [due] = await db.query(
+      "SELECT id FROM blogs WHERE status = 'scheduled' AND scheduled_at <= NOW()"
+    );
+
+    for (const { id } of due) {
+      await withTransaction(async (conn) => {
+        const [result] = await conn.query(
+          `UPDATE blogs
+          SET status = 'published', published_at = COALESCE(published_at, scheduled_at)
+          WHERE id = ? AND status = 'scheduled'`,
+          [id]
+        );
+        if (result.affectedRows === 0) return; // changed in the meantime
+
+        await recordAudit(conn, null, {
+          action: "blog.publish",
+          targetType: "blog",
+          targetId: id,
+          after: { status: "published" },
+        });
+      });
+      invalidateFeeds();
+      console.log(`Published scheduled blog ${id}`);
+    }
+  } catch (err) {
+    console.error("Scheduled publishing error:", err);
+  }
+};
+
+// Check for scheduled blogs every minute
+cron.schedule("* * * * *", () => {
+  publishScheduledBlogs();
+});
+
+// Deliver queued emails and SMS/WhatsApp messages every 15 seconds
+cron.schedule("*/15 * * * * *", () => {
+  mailer
+    .deliverOutbox(db, resolveEmailAttachments)
+    .catch((err) => console.error("Email outbox error:", err));
+  notifier
+    .deliverQueued(db)
+    .catch((err) => console.error("Notification delivery error:", err));
+});
+
+// Run the expiry sweep (and token cleanup) every hour, and the sweep once at
+// startup to catch up after downtime
+cron.schedule("0 * * * *", () => {
+  expireSubscriptions();
+  cleanupAdminTokens();
 });
+expireSubscriptions();
 
 
 
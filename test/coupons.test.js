@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment");
+const {
+  applyCoupon,
+  normalizeCouponCode,
+  pickPlanPrice,
+} = require("../pricing");
+
+const plan = { id: 1, price: "20.00", currency: "USD" };
+const usd = pickPlanPrice(plan, [], "US");
+const eur = pickPlanPrice(
+  plan,
+  [{ region: "EU", price: "18.00", currency: "EUR" }],
+  "FR"
+);
+
+// A coupon as findCoupon returns it
+const coupon = (fields = {}) => ({
+  code: "SAVE10",
+  discount_type: "percent",
+  discount_value: "10.00",
+  currency: null,
+  expires_at: null,
+  max_uses: null,
+  times_used: 0,
+  active: 1,
+  planIds: [],
+  ...fields,
+});
+
+test("takes a percentage off the quoted price", () => {
+  const { discount, quote } = applyCoupon(coupon(), plan, usd);
+  assert.equal(discount, 2);
+  assert.deepEqual(quote, {
+    amount: 18,
+    currency: "USD",
+    region: null,
+    formatted: "$18.00",
+  });
+});
+
+test("percentages are rounded to the cent", () => {
+  const { discount, quote } = applyCoupon(
+    coupon({ discount_value: "33.33" }),
+    plan,
+    usd
+  );
+  assert.equal(discount, 6.67);
+  assert.equal(quote.amount, 13.33);
+});
+
+test("takes a fixed amount off prices in the coupon's currency", () => {
+  const fixed = coupon({
+    discount_type: "fixed",
+    discount_value: "5.00",
+    currency: "EUR",
+  });
+  const { discount, quote } = applyCoupon(fixed, plan, eur);
+  assert.equal(discount, 5);
+  assert.equal(quote.amount, 13);
+  assert.equal(quote.formatted, "€13.00");
+});
+
+test("never discounts below zero", () => {
+  const fixed = coupon({
+    discount_type: "fixed",
+    discount_value: "50.00",
+    currency: "USD",
+  });
+  const { discount, quote } = applyCoupon(fixed, plan, usd);
+  assert.equal(discount, 20);
+  assert.equal(quote.amount, 0);
+});
+
+test("applies to the plans it is limited to", () => {
+  assert.equal(applyCoupon(coupon({ planIds: [1, 2] }), plan, usd).discount, 2);
+});
+
+test("gives the same error for every coupon that can't be used", () => {
+  const unusable = [
+    null,
+    coupon({ active: 0 }),
+    coupon({ expires_at: moment().subtract(1, "minute").toDate() }),
+    coupon({ max_uses: 3, times_used: 3 }),
+    coupon({ planIds: [2] }),
+    coupon({ discount_type: "fixed", discount_value: "5.00", currency: "USD" }),
+  ];
+  const quotes = [usd, usd, usd, usd, usd, eur];
+  unusable.forEach((candidate, i) => {
+    assert.deepEqual(applyCoupon(candidate, plan, quotes[i]), {
+      error: "Coupon code is not valid",
+    });
+  });
+});
+
+test("coupons can be used until they expire or run out", () => {
+  const expiring = coupon({ expires_at: moment().add(1, "day").toDate() });
+  assert.equal(applyCoupon(expiring, plan, usd).discount, 2);
+
+  const lastUse = coupon({ max_uses: 3, times_used: 2 });
+  assert.equal(applyCoupon(lastUse, plan, usd).discount, 2);
+});
+
+test("coupon codes are case-insensitive", () => {
+  assert.equal(normalizeCouponCode("  save10 "), "SAVE10");
+  assert.equal(normalizeCouponCode(undefined), "");
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatPrice, parsePrice, pickPlanPrice } = require("../pricing");
+
+test("formats prices with the currency symbol, or the code after", () => {
+  assert.equal(formatPrice(19.9, "USD"), "$19.90");
+  assert.equal(formatPrice("15", "EUR"), "€15.00");
+  assert.equal(formatPrice(250, "MXN"), "250.00 MXN");
+});
+
+test("parses the free-form prices customers used to submit", () => {
+  const cases = [
+    ["$19.99", { amount: 19.99, currency: "USD" }],
+    ["€15", { amount: 15, currency: "EUR" }],
+    ["19,99 €", { amount: 19.99, currency: "EUR" }],
+    ["USD 1,299.00", { amount: 1299, currency: "USD" }],
+    ["15 EUR", { amount: 15, currency: "EUR" }],
+    ["1.299,50 eur", { amount: 1299.5, currency: "EUR" }],
+    ["1,299", { amount: 1299, currency: null }],
+    ["£7.5", { amount: 7.5, currency: "GBP" }],
+    [12, { amount: 12, currency: null }],
+  ];
+  for (const [text, expected] of cases) {
+    assert.deepEqual(parsePrice(text), expected, String(text));
+  }
+});
+
+test("returns null for prices without an amount", () => {
+  for (const text of [null, undefined, "", "free", "$"]) {
+    assert.equal(parsePrice(text), null, String(text));
+  }
+});
+
+const plan = { id: 1, price: "19.99", currency: "USD" };
+const prices = [
+  { region: "GB", price: "14.99", currency: "GBP" },
+  { region: "EU", price: "17.99", currency: "EUR" },
+  { region: "ES", price: "15.99", currency: "EUR" },
+];
+
+test("a country's own price wins over its region's", () => {
+  assert.deepEqual(pickPlanPrice(plan, prices, "es"), {
+    amount: 15.99,
+    currency: "EUR",
+    region: "ES",
+    formatted: "€15.99",
+  });
+});
+
+test("countries without their own price get their region's", () => {
+  assert.deepEqual(pickPlanPrice(plan, prices, "DE"), {
+    amount: 17.99,
+    currency: "EUR",
+    region: "EU",
+    formatted: "€17.99",
+  });
+});
+
+test("everyone else gets the plan's default price", () => {
+  const expected = {
+    amount: 19.99,
+    currency: "USD",
+    region: null,
+    formatted: "$19.99",
+  };
+  assert.deepEqual(pickPlanPrice(plan, prices, "US"), expected);
+  assert.deepEqual(pickPlanPrice(plan, prices, null), expected);
+  assert.deepEqual(pickPlanPrice(plan, [], "GB"), expected);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const totp = require("../totp");
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", base32 encoded
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// The RFC's 8-digit SHA-1 codes; authenticator apps show the last 6 digits
+const RFC_VECTORS = [
+  [59, "94287082"],
+  [1111111109, "07081804"],
+  [1111111111, "14050471"],
+  [1234567890, "89005924"],
+  [2000000000, "69279037"],
+  [20000000000, "65353130"],
+];
+
+// Pins the clock at `seconds` past the epoch for the rest of the test
+const setClock = (t, seconds) =>
+  t.mock.method(Date, "now", () => seconds * 1000);
+
+test("generates the RFC 6238 test vectors", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(
+      totp.generate(RFC_SECRET, Math.floor(seconds / 30)),
+      code.slice(-6),
+      `T = ${seconds}`
+    );
+  }
+});
+
+test("uses the current 30-second step by default", (t) => {
+  setClock(t, 1111111111);
+  assert.equal(totp.currentStep(), 37037037);
+  assert.equal(totp.generate(RFC_SECRET), "050471");
+});
+
+test("verifies the current code and returns its step", (t) => {
+  setClock(t, 1234567890);
+  assert.equal(totp.verify(RFC_SECRET, "005924"), 41152263);
+  assert.equal(totp.verify(RFC_SECRET, "005 924"), 41152263);
+});
+
+test("allows one step of clock drift either side by default", (t) => {
+  setClock(t, 1234567890);
+  const step = totp.currentStep();
+
+  assert.equal(
+    totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step - 1)),
+    step - 1
+  );
+  assert.equal(
+    totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step + 1)),
+    step + 1
+  );
+  assert.equal(
+    totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step - 2)),
+    null
+  );
+  assert.equal(
+    totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step - 2), {
+      window: 2,
+    }),
+    step - 2
+  );
+});
+
+test("refuses codes from steps already used", (t) => {
+  setClock(t, 1234567890);
+  const step = totp.currentStep();
+  const code = totp.generate(RFC_SECRET, step);
+
+  assert.equal(totp.verify(RFC_SECRET, code, { afterStep: step }), null);
+  assert.equal(totp.verify(RFC_SECRET, code, { afterStep: step - 1 }), step);
+});
+
+test("rejects malformed codes", (t) => {
+  setClock(t, 1234567890);
+  for (const code of ["", null, "12345", "1234567", "00592a", "89005924"]) {
+    assert.equal(totp.verify(RFC_SECRET, code), null, String(code));
+  }
+});
+
+test("new secrets are 160-bit base32 and round-trip through generate", () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.match(totp.generate(secret, 1), /^\d{6}$/);
+  assert.notEqual(secret, totp.generateSecret());
+});
+
+test("builds the otpauth URI authenticator apps scan", () => {
+  assert.equal(
+    totp.otpauthUri({
+      secret: RFC_SECRET,
+      account: "admin@example.com",
+      issuer: "America IPTV",
+    }),
+    "otpauth://totp/America%20IPTV:admin%40example.com" +
+      `?secret=${RFC_SECRET}&issuer=America%20IPTV&algorithm=SHA1&digits=6&period=30`
+  );
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SECRET_NOT_CONFIGURED,
+  signatureHeader,
+  verifyWebhookSignature,
+} = require("../webhooks");
+
+const SECRET = "whsec_test";
+const payload = JSON.stringify({ id: "evt_1", type: "payment.succeeded" });
+const now = () => Math.floor(Date.now() / 1000);
+
+test.beforeEach(() => {
+  process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+  delete process.env.PAYMENT_WEBHOOK_TOLERANCE;
+});
+
+test("accepts a fresh signature over the raw body", () => {
+  const header = signatureHeader(payload, SECRET);
+  assert.equal(verifyWebhookSignature(header, Buffer.from(payload)), null);
+});
+
+test("accepts any matching v1 entry while secrets rotate", () => {
+  const timestamp = now();
+  const valid = signatureHeader(payload, SECRET, timestamp).split(",")[1];
+  const header = `t=${timestamp}, v1=${"0".repeat(64)}, ${valid}`;
+  assert.equal(verifyWebhookSignature(header, Buffer.from(payload)), null);
+});
+
+test("rejects a body changed after signing", () => {
+  const header = signatureHeader(payload, SECRET);
+  const tampered = payload.replace("evt_1", "evt_2");
+  assert.equal(
+    verifyWebhookSignature(header, Buffer.from(tampered)),
+    "Invalid signature"
+  );
+});
+
+test("rejects a signature made with another secret", () => {
+  const header = signatureHeader(payload, "not-the-secret");
+  assert.equal(
+    verifyWebhookSignature(header, Buffer.from(payload)),
+    "Invalid signature"
+  );
+});
+
+test("rejects signatures of the wrong length without throwing", () => {
+  const header = `t=${now()},v1=abcd`;
+  assert.equal(
+    verifyWebhookSignature(header, Buffer.from(payload)),
+    "Invalid signature"
+  );
+});
+
+test("rejects timestamps outside the tolerance", () => {
+  const stale = signatureHeader(payload, SECRET, now() - 301);
+  assert.equal(
+    verifyWebhookSignature(stale, Buffer.from(payload)),
+    "Signature timestamp outside tolerance"
+  );
+
+  process.env.PAYMENT_WEBHOOK_TOLERANCE = "600";
+  assert.equal(verifyWebhookSignature(stale, Buffer.from(payload)), null);
+});
+
+test("rejects missing and malformed headers", () => {
+  assert.equal(
+    verifyWebhookSignature(undefined, Buffer.from(payload)),
+    "Missing signature"
+  );
+  assert.equal(
+    verifyWebhookSignature(signatureHeader(payload, SECRET), undefined),
+    "Missing signature"
+  );
+  assert.equal(
+    verifyWebhookSignature("v1=abcd", Buffer.from(payload)),
+    "Malformed signature"
+  );
+  assert.equal(
+    verifyWebhookSignature(`t=${now()}`, Buffer.from(payload)),
+    "Malformed signature"
+  );
+});
+
+test("reports an unset secret instead of throwing", () => {
+  const header = signatureHeader(payload, SECRET);
+  for (const secret of [undefined, ""]) {
+    if (secret === undefined) delete process.env.PAYMENT_WEBHOOK_SECRET;
+    else process.env.PAYMENT_WEBHOOK_SECRET = secret;
+    assert.equal(
+      verifyWebhookSignature(header, Buffer.from(payload)),
+      SECRET_NOT_CONFIGURED
+    );
+  }
+});
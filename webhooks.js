@@ -0,0 +1,65 @@
+const crypto = require("crypto");
+
+// Payment provider webhook signatures: a "t=<unix seconds>,v1=<hex hmac>"
+// header, where the HMAC-SHA256 of "<t>.<raw body>" is keyed with
+// PAYMENT_WEBHOOK_SECRET. Several v1 entries may be sent while the provider
+// rotates secrets; any one matching is enough.
+
+const sign = (payload, secret, timestamp) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+// The header the provider would send for `payload` (what
+// scripts/send-test-webhook.js uses to stand in for it)
+const signatureHeader = (
+  payload,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) => `t=${timestamp},v1=${sign(payload, secret, timestamp)}`;
+
+// What verifyWebhookSignature returns when PAYMENT_WEBHOOK_SECRET is unset: a
+// server problem rather than a bad request
+const SECRET_NOT_CONFIGURED = "Webhook secret not configured";
+
+// Check a signature header against the raw body. Returns an error message,
+// or null when the signature is valid and fresh.
+const verifyWebhookSignature = (header, rawBody) => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) return SECRET_NOT_CONFIGURED;
+  if (!header || !rawBody) return "Missing signature";
+
+  const parts = header.split(",").map((part) => part.trim().split("="));
+  const timestamp = parts.find(([key]) => key === "t")?.[1];
+  const signatures = parts
+    .filter(([key]) => key === "v1")
+    .map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) return "Malformed signature";
+
+  const tolerance = parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE || "300");
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+    return "Signature timestamp outside tolerance";
+  }
+
+  const expected = Buffer.from(
+    sign(rawBody, process.env.PAYMENT_WEBHOOK_SECRET, timestamp),
+    "hex"
+  );
+
+  const matches = signatures.some((signature) => {
+    const received = Buffer.from(signature, "hex");
+    return (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected)
+    );
+  });
+
+  return matches ? null : "Invalid signature";
+};
+
+module.exports = {
+  SECRET_NOT_CONFIGURED,
+  signatureHeader,
+  verifyWebhookSignature,
+};